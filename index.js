@@ -10,6 +10,11 @@ import { registerTools, unregisterTools } from './src/tools.js';
 import { validateUI } from './src/ui-lock.js';
 import { registerSlashCommands } from './src/commands.js';
 import { openTierDebugger } from './src/tier-debugger.js';
+import { openKnowledgeInspector } from './src/knowledge-inspector.js';
+import { invalidateKnowledgeIndex } from './src/knowledge-index.js';
+import { stampMessageWitnesses } from './src/context.js';
+import { BUDGET_SECTIONS } from './src/token-budget.js';
+import { initRateLimitSync } from './src/rate-limiter.js';
 import {
     clearSessionCharacters,
     loadSessionFromStorage,
@@ -21,6 +26,30 @@ import {
     setTierProfile,
     setEnabled,
     setDebugEnabled,
+    setSpawnPolicy,
+    setUnmatchedNpcFallback,
+    getCharacterGenerationSettings,
+    setCharacterGenerationSettings,
+    getFallbackPolicy,
+    setFallbackPolicy,
+    getTierTimeouts,
+    setTierTimeouts,
+    getTranscriptSettings,
+    setTranscriptSettings,
+    getActivationSettings,
+    setActivationSettings,
+    getRankingSettings,
+    setRankingSettings,
+    getBudgetSettings,
+    setBudgetSettings,
+    getStreamingSettings,
+    setStreamingSettings,
+    getCostSettings,
+    setCostSettings,
+    getQuotaSettings,
+    setQuotaSettings,
+    getGenerationSettings,
+    setGenerationSettings,
 } from './src/settings.js';
 
 /**
@@ -322,6 +351,89 @@ function setupDragAndDrop() {
     });
 }
 
+/**
+ * Parses per-profile context size overrides from "Profile Name = tokens" lines
+ * @param {string} text - Textarea contents
+ * @returns {Object.<string, number>} Map of profile name to context size
+ */
+function parseContextSizes(text) {
+    const sizes = {};
+    for (const line of text.split('\n')) {
+        const separator = line.lastIndexOf('=');
+        if (separator === -1) continue;
+
+        const name = line.slice(0, separator).trim();
+        const size = parseInt(line.slice(separator + 1), 10);
+        if (name && size > 0) {
+            sizes[name] = size;
+        }
+    }
+    return sizes;
+}
+
+/**
+ * Parses the price table textarea into a map of profile or model name to
+ * USD per million input and output tokens
+ * @param {string} text - Textarea contents
+ * @returns {Object.<string, {input: number, output: number}>} Price table
+ */
+function parsePriceTable(text) {
+    const prices = {};
+    for (const line of text.split('\n')) {
+        const separator = line.lastIndexOf('=');
+        if (separator === -1) continue;
+
+        const name = line.slice(0, separator).trim();
+        const [input, output] = line.slice(separator + 1).split('/').map(value => parseFloat(value));
+        if (name && input >= 0) {
+            // A single number prices input and output the same
+            prices[name] = { input, output: output >= 0 ? output : input };
+        }
+    }
+    return prices;
+}
+
+/**
+ * Parses the quota textarea into a map of profile name to requests and
+ * tokens per minute
+ * @param {string} text - Textarea contents
+ * @returns {Object.<string, {rpm: number, tpm: number}>} Quotas
+ */
+function parseQuotaTable(text) {
+    const quotas = {};
+    for (const line of text.split('\n')) {
+        const separator = line.lastIndexOf('=');
+        if (separator === -1) continue;
+
+        const name = line.slice(0, separator).trim();
+        const [rpm, tpm] = line.slice(separator + 1).split('/').map(value => parseInt(value, 10));
+        if (name && (rpm > 0 || tpm > 0)) {
+            quotas[name] = { rpm: rpm > 0 ? rpm : 0, tpm: tpm > 0 ? tpm : 0 };
+        }
+    }
+    return quotas;
+}
+
+/**
+ * Formats stop sequences for a text input, escaping newlines
+ * @param {string[]} stops - Stop sequences
+ * @returns {string} Comma-separated stop sequences
+ */
+function formatStopSequences(stops) {
+    return stops.map(stop => stop.replace(/\n/g, '\\n')).join(', ');
+}
+
+/**
+ * Parses comma-separated stop sequences from a text input
+ * @param {string} text - Input contents, with newlines written as \n
+ * @returns {string[]} Stop sequences
+ */
+function parseStopSequences(text) {
+    return text.split(',')
+        .map(stop => stop.trim().replace(/\\n/g, '\n'))
+        .filter(stop => stop.length > 0);
+}
+
 /**
  * Binds event handlers to settings UI elements
  */
@@ -351,6 +463,201 @@ function bindSettingsEventHandlers() {
         setDebugEnabled(debug);
     });
 
+    // Recent chat transcript settings
+    const transcript = getTranscriptSettings();
+    $('#ensemble_transcript_enabled')
+        .prop('checked', transcript.enabled)
+        .on('change', function () {
+            setTranscriptSettings({ enabled: $(this).prop('checked') });
+        });
+    $('#ensemble_transcript_max_messages')
+        .val(transcript.maxMessages)
+        .on('change', function () {
+            setTranscriptSettings({ maxMessages: Math.max(0, parseInt($(this).val(), 10) || 0) });
+        });
+    $('#ensemble_transcript_token_budget')
+        .val(transcript.tokenBudget)
+        .on('change', function () {
+            setTranscriptSettings({ tokenBudget: Math.max(0, parseInt($(this).val(), 10) || 0) });
+        });
+
+    // Fallback triggers per tier
+    $('.ensemble_fallback_class').each(function () {
+        $(this).prop('checked', getFallbackPolicy($(this).data('tier')).includes($(this).data('class')));
+    });
+    $('.ensemble_fallback_class').on('change', function () {
+        const tier = $(this).data('tier');
+        const errorClass = $(this).data('class');
+        const classes = getFallbackPolicy(tier).filter(c => c !== errorClass);
+        if ($(this).prop('checked')) {
+            classes.push(errorClass);
+        }
+        setFallbackPolicy(tier, classes);
+    });
+
+    // Timeouts and hedging per tier (shown in seconds, stored in ms)
+    $('.ensemble_tier_timeout').each(function () {
+        const timeouts = getTierTimeouts($(this).data('tier'));
+        $(this).val(timeouts[$(this).data('field')] / 1000);
+    });
+    $('.ensemble_tier_timeout').on('change', function () {
+        const seconds = parseFloat($(this).val());
+        const ms = Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : 0;
+        $(this).val(ms / 1000);
+        setTierTimeouts($(this).data('tier'), { [$(this).data('field')]: ms });
+    });
+
+    // Client-side RPM/TPM quotas
+    const quotas = getQuotaSettings();
+    $('#ensemble_quota_profiles')
+        .val(Object.entries(quotas.profiles).map(([name, quota]) => `${name} = ${quota.rpm} / ${quota.tpm}`).join('\n'))
+        .on('change', function () {
+            setQuotaSettings({ profiles: parseQuotaTable(String($(this).val())) });
+        });
+    $('#ensemble_quota_on_exhausted')
+        .val(quotas.onExhausted)
+        .on('change', function () {
+            setQuotaSettings({ onExhausted: $(this).val() });
+        });
+
+    // Spawn policy (queue / concurrent / replace)
+    $('#ensemble_spawn_policy')
+        .val(settings.spawnPolicy)
+        .on('change', function () {
+            setSpawnPolicy($(this).val());
+        });
+
+    // Unknown NPCs whose name has no role word (stub / commoner template)
+    $('#ensemble_unmatched_npc_fallback')
+        .val(settings.unmatchedNpcFallback)
+        .on('change', function () {
+            setUnmatchedNpcFallback($(this).val());
+        });
+    $('#ensemble_character_generation_enabled')
+        .prop('checked', getCharacterGenerationSettings().enabled)
+        .on('change', function () {
+            setCharacterGenerationSettings({ enabled: $(this).prop('checked') });
+        });
+
+    // Sampler settings per tier
+    $('.ensemble_tier_generation').each(function () {
+        const value = getGenerationSettings($(this).data('tier'))[$(this).data('param')];
+        $(this).val(Array.isArray(value) ? formatStopSequences(value) : value);
+    });
+    $('.ensemble_tier_generation').on('change', function () {
+        const tier = $(this).data('tier');
+        const param = $(this).data('param');
+        const raw = String($(this).val());
+        setGenerationSettings(tier, { [param]: param === 'stop' ? parseStopSequences(raw) : raw });
+
+        // Show the stored value (invalid input falls back to the previous one)
+        const value = getGenerationSettings(tier)[param];
+        $(this).val(Array.isArray(value) ? formatStopSequences(value) : value);
+    });
+
+    // Streaming settings
+    const streaming = getStreamingSettings();
+    $('.ensemble_stream_tier').each(function () {
+        $(this).prop('checked', streaming.tiers[$(this).data('tier')] === true);
+    });
+    $('.ensemble_stream_tier').on('change', function () {
+        const tiers = { ...getStreamingSettings().tiers, [$(this).data('tier')]: $(this).prop('checked') };
+        setStreamingSettings({ tiers });
+    });
+    $('#ensemble_show_progress')
+        .prop('checked', streaming.showProgress)
+        .on('change', function () {
+            setStreamingSettings({ showProgress: $(this).prop('checked') });
+        });
+
+    // Lorebook keyword activation settings
+    const activation = getActivationSettings();
+    $('#ensemble_activation_enabled')
+        .prop('checked', activation.enabled)
+        .on('change', function () {
+            setActivationSettings({ enabled: $(this).prop('checked') });
+        });
+    $('#ensemble_activation_scan_depth')
+        .val(activation.scanDepth)
+        .on('change', function () {
+            setActivationSettings({ scanDepth: Math.max(0, parseInt($(this).val(), 10) || 0) });
+        });
+    $('#ensemble_activation_max_recursion')
+        .val(activation.maxRecursion)
+        .on('change', function () {
+            setActivationSettings({ maxRecursion: Math.max(0, parseInt($(this).val(), 10) || 0) });
+        });
+
+    // Knowledge relevance ranking settings
+    const ranking = getRankingSettings();
+    $('#ensemble_ranking_enabled')
+        .prop('checked', ranking.enabled)
+        .on('change', function () {
+            setRankingSettings({ enabled: $(this).prop('checked') });
+        });
+    $('#ensemble_ranking_top_k')
+        .val(ranking.topK)
+        .on('change', function () {
+            setRankingSettings({ topK: Math.max(1, parseInt($(this).val(), 10) || 1) });
+        });
+
+    // Prompt token budget settings
+    const budget = getBudgetSettings();
+    $('#ensemble_budget_enabled')
+        .prop('checked', budget.enabled)
+        .on('change', function () {
+            setBudgetSettings({ enabled: $(this).prop('checked') });
+        });
+    $('#ensemble_budget_default_context')
+        .val(budget.defaultContextSize)
+        .on('change', function () {
+            setBudgetSettings({ defaultContextSize: Math.max(512, parseInt($(this).val(), 10) || 0) });
+        });
+    $('#ensemble_budget_trim_order')
+        .val(budget.trimOrder.join(', '))
+        .on('change', function () {
+            const trimOrder = String($(this).val())
+                .split(',')
+                .map(section => section.trim().toLowerCase())
+                .filter(section => BUDGET_SECTIONS.includes(section));
+            setBudgetSettings({ trimOrder: trimOrder.length > 0 ? trimOrder : [...BUDGET_SECTIONS] });
+            $(this).val(getBudgetSettings().trimOrder.join(', '));
+        });
+    $('#ensemble_budget_context_sizes')
+        .val(Object.entries(budget.contextSizes).map(([name, size]) => `${name} = ${size}`).join('\n'))
+        .on('change', function () {
+            setBudgetSettings({ contextSizes: parseContextSizes(String($(this).val())) });
+        });
+
+    // Cost tracking and budget cap
+    const cost = getCostSettings();
+    $('#ensemble_cost_enabled')
+        .prop('checked', cost.enabled)
+        .on('change', function () {
+            setCostSettings({ enabled: $(this).prop('checked') });
+        });
+    $('#ensemble_cost_prices')
+        .val(Object.entries(cost.prices).map(([name, price]) => `${name} = ${price.input} / ${price.output}`).join('\n'))
+        .on('change', function () {
+            setCostSettings({ prices: parsePriceTable(String($(this).val())) });
+        });
+    $('#ensemble_cost_cap')
+        .val(cost.cap)
+        .on('change', function () {
+            const cap = parseFloat($(this).val());
+            setCostSettings({ cap: Number.isFinite(cap) && cap > 0 ? cap : 0 });
+        });
+    $('#ensemble_cost_cap_action')
+        .val(cost.capAction)
+        .on('change', function () {
+            setCostSettings({ capAction: $(this).val() });
+        });
+    $('#ensemble_cost_downgrade_tier')
+        .val(cost.downgradeTier)
+        .on('change', function () {
+            setCostSettings({ downgradeTier: $(this).val() });
+        });
+
     // Add-profile dropdown change handlers (event delegation)
     $('.ensemble_tier_settings').on('change', '.ensemble_profile_select', function () {
         const tier = $(this).data('tier');
@@ -386,6 +693,11 @@ function bindSettingsEventHandlers() {
         openTierDebugger();
     });
 
+    // Inspect Knowledge button - opens the Knowledge Inspector drawer
+    $('#ensemble_inspect_knowledge').on('click', function () {
+        openKnowledgeInspector();
+    });
+
     logger.debug({ event: 'event_handlers_bound' });
 }
 
@@ -426,6 +738,9 @@ async function onAppReady() {
         // Load session characters from sessionStorage (Phase 5)
         loadSessionFromStorage();
 
+        // Restore rate limits from earlier sessions and share them with other tabs
+        initRateLimitSync();
+
         // Load settings UI into ST's extension settings panel
         await loadSettingsUI();
 
@@ -460,12 +775,32 @@ async function onAppReady() {
  */
 function onChatChanged() {
     const cleared = clearSessionCharacters();
+    invalidateKnowledgeIndex();
     logger.debug({
         event: 'chat_changed',
         sessionCharactersCleared: cleared,
     });
 }
 
+/**
+ * Called when a message is sent or received.
+ * Stamps it with the NPCs present, so later transcripts leave it out for
+ * NPCs who weren't there.
+ *
+ * @param {number} messageId - Index of the new message
+ */
+async function onMessagePosted(messageId) {
+    try {
+        await stampMessageWitnesses(Number(messageId));
+    } catch (error) {
+        logger.warn({
+            event: 'message_witnesses_failed',
+            messageId,
+            error: error.message,
+        });
+    }
+}
+
 /**
  * Extension initialization function
  */
@@ -479,6 +814,15 @@ export function init() {
     // Hook into CHAT_CHANGED event to clear session characters (Phase 5)
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
 
+    // Record who witnessed each new message, for NPC transcripts
+    eventSource.on(event_types.MESSAGE_SENT, onMessagePosted);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessagePosted);
+
+    // Rebuild knowledge relevance indexes after lorebook edits
+    if (event_types.WORLDINFO_UPDATED) {
+        eventSource.on(event_types.WORLDINFO_UPDATED, invalidateKnowledgeIndex);
+    }
+
     logger.debug({ event: 'init_registered' });
 }
 
@@ -0,0 +1,275 @@
+/**
+ * Lorebook Keyword Activation for SillyTavern-Ensemble
+ *
+ * Decides which of an NPC's visible lorebook entries actually enter the
+ * prompt, following SillyTavern's world-info semantics:
+ * - constant entries are always active
+ * - primary keys (`key`) must match the scan text
+ * - selective entries also apply `keysecondary` with `selectiveLogic`
+ * - `probability` rolls once per activation
+ * - activated content is re-scanned (recursion) up to a depth limit
+ * - results are sorted by `order`
+ *
+ * Activation runs after the character filter: only entries the NPC is
+ * allowed to see can ever be activated.
+ *
+ * @module activation
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * SillyTavern's world_info_logic values for selective entries.
+ * @type {Object.<string, number>}
+ */
+export const SELECTIVE_LOGIC = Object.freeze({
+    AND_ANY: 0,
+    NOT_ALL: 1,
+    NOT_ANY: 2,
+    AND_ALL: 3,
+});
+
+/**
+ * Key prefixes used by Ensemble's own system entries.
+ * These entries configure the extension and are never NPC knowledge.
+ * @type {readonly string[]}
+ */
+const SYSTEM_KEY_PREFIXES = Object.freeze([
+    'ensemble_scene_state',
+    'ensemble_character:',
+    'ensemble_template:',
+]);
+
+/**
+ * Get an entry's keys as an array of non-empty strings.
+ *
+ * @param {string|string[]|undefined} keys - Raw key field
+ * @returns {string[]} Key strings
+ */
+function toKeyArray(keys) {
+    const keyArray = Array.isArray(keys) ? keys : (keys ? [keys] : []);
+    return keyArray
+        .filter(k => typeof k === 'string')
+        .map(k => k.trim())
+        .filter(k => k.length > 0);
+}
+
+/**
+ * Check if a lorebook entry is an Ensemble system entry (scene state,
+ * character definition or template).
+ *
+ * @param {Object} entry - Lorebook entry
+ * @returns {boolean} True if the entry configures Ensemble rather than holding knowledge
+ */
+export function isSystemEntry(entry) {
+    return toKeyArray(entry?.key || entry?.keys).some(key => {
+        const lowerKey = key.toLowerCase();
+        return SYSTEM_KEY_PREFIXES.some(prefix => lowerKey.includes(prefix));
+    });
+}
+
+/**
+ * Parse a `/pattern/flags` key into a RegExp.
+ *
+ * @param {string} key - Key string
+ * @returns {RegExp|null} Regex, or null if the key is not a valid regex literal
+ */
+function parseRegexKey(key) {
+    const match = key.match(/^\/([\s\S]+)\/([gimsuy]*)$/);
+    if (!match) {
+        return null;
+    }
+
+    try {
+        return new RegExp(match[1], match[2]);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Escape a string for literal use inside a RegExp.
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a single key matches the scan text.
+ *
+ * @param {string} key - Key string (plain or /regex/)
+ * @param {string} text - Text to scan
+ * @param {Object} entry - Entry the key belongs to (for case/whole-word flags)
+ * @returns {boolean} True if the key matches
+ */
+export function keyMatches(key, text, entry = {}) {
+    if (!key || !text) {
+        return false;
+    }
+
+    const regex = parseRegexKey(key);
+    if (regex) {
+        return regex.test(text);
+    }
+
+    const caseSensitive = entry.caseSensitive === true;
+    const haystack = caseSensitive ? text : text.toLowerCase();
+    const needle = caseSensitive ? key : key.toLowerCase();
+
+    // Multi-word keys are always substring matches, as in ST
+    if (entry.matchWholeWords && !/\s/.test(needle)) {
+        const pattern = new RegExp(`(?:^|\\W)(${escapeRegex(needle)})(?:$|\\W)`);
+        return pattern.test(haystack);
+    }
+
+    return haystack.includes(needle);
+}
+
+/**
+ * Check whether an entry's keys (primary plus selective secondary logic)
+ * match the scan text.
+ *
+ * @param {Object} entry - Lorebook entry
+ * @param {string} text - Text to scan
+ * @returns {boolean} True if the entry is triggered by the text
+ */
+export function entryMatches(entry, text) {
+    const primary = toKeyArray(entry.key || entry.keys);
+    if (primary.length === 0 || !primary.some(key => keyMatches(key, text, entry))) {
+        return false;
+    }
+
+    const secondary = toKeyArray(entry.keysecondary);
+    if (!entry.selective || secondary.length === 0) {
+        return true;
+    }
+
+    const matchedCount = secondary.filter(key => keyMatches(key, text, entry)).length;
+
+    switch (entry.selectiveLogic ?? SELECTIVE_LOGIC.AND_ANY) {
+        case SELECTIVE_LOGIC.NOT_ALL:
+            return matchedCount < secondary.length;
+        case SELECTIVE_LOGIC.NOT_ANY:
+            return matchedCount === 0;
+        case SELECTIVE_LOGIC.AND_ALL:
+            return matchedCount === secondary.length;
+        case SELECTIVE_LOGIC.AND_ANY:
+        default:
+            return matchedCount > 0;
+    }
+}
+
+/**
+ * Roll an entry's activation probability.
+ *
+ * @param {Object} entry - Lorebook entry
+ * @param {Function} [random=Math.random] - Random source (0..1)
+ * @returns {boolean} True if the entry passes its probability check
+ */
+function passesProbability(entry, random = Math.random) {
+    if (entry.useProbability === false) {
+        return true;
+    }
+
+    const probability = Number(entry.probability);
+    if (!Number.isFinite(probability) || probability >= 100) {
+        return true;
+    }
+
+    return random() * 100 < probability;
+}
+
+/**
+ * Activate lorebook entries against scan text.
+ *
+ * @param {Array<Object>} entries - Entries the NPC can see (already character-filtered)
+ * @param {Object} options - Activation options
+ * @param {string} options.scanText - Situation and recent chat to match keys against
+ * @param {number} [options.maxRecursion=3] - Recursion passes over activated content (0 disables)
+ * @param {Function} [options.random=Math.random] - Random source for probability rolls
+ * @returns {{entries: Array<Object>, reasons: Map<Object, string>}} Activated entries sorted
+ *          by order, and why each one activated ('constant', 'key' or 'recursion')
+ */
+export function activateEntries(entries, { scanText, maxRecursion = 3, random = Math.random }) {
+    const reasons = new Map();
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { entries: [], reasons };
+    }
+
+    const candidates = entries.filter(entry => !entry.disable && !isSystemEntry(entry));
+    const rolledOut = new Set();
+
+    /**
+     * Try to activate one entry; returns true if it became active.
+     * @param {Object} entry - Candidate entry
+     * @param {string} reason - Activation reason
+     * @returns {boolean}
+     */
+    const tryActivate = (entry, reason) => {
+        if (!passesProbability(entry, random)) {
+            rolledOut.add(entry);
+            return false;
+        }
+        reasons.set(entry, reason);
+        return true;
+    };
+
+    let newlyActive = [];
+
+    // Constants and direct key matches
+    for (const entry of candidates) {
+        if (entry.constant) {
+            if (tryActivate(entry, 'constant')) newlyActive.push(entry);
+            continue;
+        }
+        if (entry.delayUntilRecursion) {
+            continue;
+        }
+        if (entryMatches(entry, scanText || '') && tryActivate(entry, 'key')) {
+            newlyActive.push(entry);
+        }
+    }
+
+    // Recursion: activated content can trigger further entries
+    for (let depth = 1; depth <= maxRecursion && newlyActive.length > 0; depth++) {
+        const buffer = newlyActive
+            .filter(entry => !entry.preventRecursion)
+            .map(entry => entry.content || '')
+            .join('\n');
+
+        newlyActive = [];
+        if (!buffer) {
+            break;
+        }
+
+        for (const entry of candidates) {
+            if (reasons.has(entry) || rolledOut.has(entry) || entry.excludeRecursion) {
+                continue;
+            }
+            if (entryMatches(entry, buffer) && tryActivate(entry, 'recursion')) {
+                newlyActive.push(entry);
+            }
+        }
+    }
+
+    // Stable sort by insertion order, lowest first (as ST inserts them)
+    const activated = candidates
+        .filter(entry => reasons.has(entry))
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => ((a.entry.order ?? 100) - (b.entry.order ?? 100)) || (a.index - b.index))
+        .map(({ entry }) => entry);
+
+    logger.debug({
+        event: 'entries_activated',
+        visible: entries.length,
+        activated: activated.length,
+        constant: [...reasons.values()].filter(r => r === 'constant').length,
+        recursion: [...reasons.values()].filter(r => r === 'recursion').length,
+    });
+
+    return { entries: activated, reasons };
+}
@@ -0,0 +1,310 @@
+/**
+ * On-demand Character Generator for SillyTavern-Ensemble
+ *
+ * Fleshes out an unknown NPC with one request to the utility tier. The
+ * model gets the NPC's name, the scene state, the nearest archetype
+ * template and the situation, and returns a structured character (voice,
+ * personality, appearance, goals, secrets and a suggested tier). The result
+ * is validated before the resolver stores it as a session character, so the
+ * NPC stays the same on later spawns.
+ *
+ * @module character-generator
+ */
+
+import { logger } from './logger.js';
+import { getProfileForTier, directGenerate, extractResponseText } from './router.js';
+import { getAllLorebookEntries, getSceneState } from './context.js';
+import { suggestTemplateForName, getTemplate, getSystemTier } from './templates.js';
+import { getGenerationSettings } from './settings.js';
+
+/**
+ * Tiers a generated character may be assigned.
+ * @type {readonly string[]}
+ */
+const CHARACTER_TIERS = Object.freeze(['major', 'standard', 'minor']);
+
+/**
+ * Minimum response tokens for the request; the JSON reply is longer than
+ * the utility tier's usual verdicts.
+ * @type {number}
+ */
+const MIN_RESPONSE_TOKENS = 600;
+
+/**
+ * Longest string kept for any single field.
+ * @type {number}
+ */
+const MAX_FIELD_LENGTH = 600;
+
+/**
+ * Most goals or secrets kept per character.
+ * @type {number}
+ */
+const MAX_LIST_ITEMS = 4;
+
+/**
+ * Generator system prompt (inline template).
+ * @type {string}
+ */
+const GENERATOR_PROMPT = `You create non-player characters for a roleplay run by a Game Master.
+
+Given a character's name, the current scene, an archetype to build on and the situation they are about to react to, invent a specific, consistent person who fits the scene. Keep every field short and concrete.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "voice": "How they speak: diction, rhythm, verbal habits",
+  "personality": "Two or three sentences on temperament and outlook",
+  "appearance": "One or two sentences on how they look",
+  "goals": ["What they want right now"],
+  "secrets": ["Something they hide from others"],
+  "tier": "major | standard | minor"
+}
+
+Tier is how important the character should be: major for leaders and recurring figures, standard for notable professionals, minor for background people.`;
+
+// ============================================================================
+// Response validation
+// ============================================================================
+
+/**
+ * Parse the model's reply as JSON, allowing a markdown code block or
+ * surrounding prose.
+ *
+ * @param {string} text - Response text
+ * @returns {Object|null} Parsed object, or null if none could be read
+ */
+function parseGeneratorResponse(text) {
+    const candidates = [text.trim()];
+    const codeBlock = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (codeBlock) {
+        candidates.push(codeBlock[1].trim());
+    }
+    const braces = text.match(/\{[\s\S]*\}/);
+    if (braces) {
+        candidates.push(braces[0]);
+    }
+
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Trim a field to a bounded string.
+ *
+ * @param {*} value - Raw field value
+ * @returns {string} Cleaned string (empty if the value was not a string)
+ */
+function cleanText(value) {
+    return typeof value === 'string' ? value.trim().slice(0, MAX_FIELD_LENGTH) : '';
+}
+
+/**
+ * Normalize a field that should be a short list of strings.
+ *
+ * @param {*} value - Raw field value (string or array)
+ * @returns {string[]} Cleaned items
+ */
+function cleanList(value) {
+    const items = Array.isArray(value) ? value : [value];
+    return items
+        .map(cleanText)
+        .filter(item => item.length > 0)
+        .slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Validate a generated character.
+ *
+ * Voice and personality are required. An unknown tier falls back to the
+ * template's tier.
+ *
+ * @param {Object} raw - Parsed model output
+ * @param {string} fallbackTier - Tier to use when the suggestion is invalid
+ * @returns {{voice: string, personality: string, appearance: string, goals: string[], secrets: string[], tier: string}|null}
+ *          Validated fields, or null if required fields are missing
+ */
+export function validateGeneratedCharacter(raw, fallbackTier) {
+    if (!raw || typeof raw !== 'object') {
+        return null;
+    }
+
+    const voice = cleanText(raw.voice);
+    const personality = cleanText(raw.personality);
+    if (!voice || !personality) {
+        return null;
+    }
+
+    const suggestedTier = typeof raw.tier === 'string' ? raw.tier.trim().toLowerCase() : '';
+
+    return {
+        voice,
+        personality,
+        appearance: cleanText(raw.appearance),
+        goals: cleanList(raw.goals),
+        secrets: cleanList(raw.secrets),
+        tier: CHARACTER_TIERS.includes(suggestedTier) ? suggestedTier : fallbackTier,
+    };
+}
+
+/**
+ * Format generated fields into prompt identity text.
+ *
+ * @param {Object} character - Validated character fields
+ * @returns {string} Identity text
+ */
+export function formatGeneratedIdentity(character) {
+    const sections = [character.personality];
+
+    if (character.appearance) {
+        sections.push(`Appearance: ${character.appearance}`);
+    }
+    if (character.goals.length > 0) {
+        sections.push(`Goals:\n${character.goals.map(goal => `- ${goal}`).join('\n')}`);
+    }
+    if (character.secrets.length > 0) {
+        sections.push(`Secrets (kept hidden):\n${character.secrets.map(secret => `- ${secret}`).join('\n')}`);
+    }
+    sections.push(`Voice: ${character.voice}`);
+
+    return sections.join('\n\n');
+}
+
+// ============================================================================
+// Generation
+// ============================================================================
+
+/**
+ * Build the user message describing the NPC to create.
+ *
+ * @param {string} name - NPC name
+ * @param {Object} sceneState - Scene state from the lorebook
+ * @param {string} templateTier - Archetype name (commoner/elite/boss)
+ * @param {Object} template - Archetype template
+ * @param {string} situation - Situation the NPC is about to react to
+ * @returns {string} Message content
+ */
+function buildGeneratorRequest(name, sceneState, templateTier, template, situation) {
+    const recentEvents = sceneState.recent_events?.length > 0
+        ? sceneState.recent_events.join('; ')
+        : 'None';
+
+    return `Name: ${name}
+
+Scene:
+- Location: ${sceneState.location}
+- Time: ${sceneState.time}
+- Present: ${(sceneState.present_npcs || []).join(', ') || 'Unknown'}
+- Recent events: ${recentEvents}
+
+Archetype: ${templateTier} (${template.tier})
+- Typical voice: ${template.voice}
+- Typical traits: ${(template.descriptors || []).join(', ')}
+- Typical motivations: ${(template.motivations || []).join('; ')}
+
+Situation: ${situation || 'They have just been introduced to the scene.'}
+
+Create this character.`;
+}
+
+/**
+ * Generate a session character for an unknown NPC via the utility tier.
+ *
+ * @param {string} name - NPC name
+ * @param {Object} [options={}] - Generation options
+ * @param {string} [options.situation=''] - Situation the NPC is spawned into
+ * @param {string} [options.correlationId] - Correlation ID for logging
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Object|null>} Session character data for setSessionCharacter,
+ *          or null if generation failed or returned an unusable character * @throws {Error} When the request is stopped through the signal
+ */
+export async function generateCharacter(name, { situation = '', correlationId, signal } = {}) {
+    const templateTier = suggestTemplateForName(name) || 'commoner';
+
+    logger.info({
+        event: 'character_generation_start',
+        name,
+        template: templateTier,
+    }, correlationId);
+
+    try {
+        const [entries, template] = await Promise.all([
+            getAllLorebookEntries(),
+            getTemplate(templateTier),
+        ]);
+        const sceneState = getSceneState(entries);
+
+        const messages = [
+            { role: 'system', content: GENERATOR_PROMPT },
+            { role: 'user', content: buildGeneratorRequest(name, sceneState, templateTier, template, situation) },
+        ];
+
+        const generation = getGenerationSettings('utility');
+        const result = await directGenerate(messages, getProfileForTier('utility'), {
+            npcId: `generator:${name}`,
+            tier: 'utility',
+            correlationId: correlationId,
+            ...generation,
+            max_tokens: Math.max(generation.max_tokens, MIN_RESPONSE_TOKENS),
+            signal: signal,
+        });
+
+        const fields = validateGeneratedCharacter(
+            parseGeneratorResponse(extractResponseText(result)),
+            getSystemTier(templateTier),
+        );
+        if (!fields) {
+            logger.warn({
+                event: 'character_generation_invalid',
+                name,
+            }, correlationId);
+            return null;
+        }
+
+        logger.info({
+            event: 'character_generation_complete',
+            name,
+            tier: fields.tier,
+        }, correlationId);
+
+        return {
+            name,
+            identity: formatGeneratedIdentity(fields),
+            tier: fields.tier,
+            source: 'generated',
+            templateId: templateTier,
+            metadata: {
+                voice: fields.voice,
+                personality: fields.personality,
+                appearance: fields.appearance,
+                goals: fields.goals,
+                secrets: fields.secrets,
+                template: templateTier,
+            },
+        };
+    } catch (error) {
+        // A stopped spawn must not fall back to a template character
+        if (signal?.aborted) {
+            logger.info({
+                event: 'character_generation_aborted',
+                name,
+            }, correlationId);
+            throw error;
+        }
+
+        logger.warn({
+            event: 'character_generation_failed',
+            name,
+            error: error.message,
+        }, correlationId);
+        return null;
+    }
+}
@@ -272,6 +272,14 @@ function buildCharacterYAML(character) {
         }
     }
 
+    // Carry declared factions over so tag filters still match
+    if (Array.isArray(character.factions) && character.factions.length > 0) {
+        lines.push('factions:');
+        for (const faction of character.factions) {
+            lines.push(`  - ${faction}`);
+        }
+    }
+
     return lines.join('\n');
 }
 
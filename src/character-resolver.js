@@ -6,9 +6,10 @@
  *
  * Resolution Priority (5 layers):
  * 1. ST Character Cards - Existing SillyTavern characters
- * 2. Lorebook Characters - Parsed from ensemble_character:* entries (stub)
+ * 2. Lorebook Characters - Parsed from ensemble_character:* entries
  * 3. Session Memory - In-memory Map + sessionStorage backup
- * 4. Template Match - Generated from archetype templates (stub)
+ * 4. Template Match - Generated by the utility tier (when enabled) or
+ *    from archetype templates
  * 5. Minimal Stub - Generic fallback for unknown characters
  *
  * @module character-resolver
@@ -17,9 +18,29 @@
 import { logger } from './logger.js';
 import { findCharacterByName } from './orchestrator.js';
 import { inferTier } from './router.js';
+import {
+    findLorebookCharacter,
+    formatLorebookIdentity,
+    getAllLorebookCharacters,
+    getCharacterTags,
+    parseNameList,
+} from './context.js';
+import { suggestTemplateForName, generateFromTemplate } from './templates.js';
+import { getSettings, getCharacterGenerationSettings } from './settings.js';
+import { generateCharacter } from './character-generator.js';
+import { resolveName, createAmbiguousNameError, normalizeAliases, getNameCandidates } from './name-resolver.js';
 
 const MODULE_NAME = 'Ensemble';
 
+/**
+ * What happens to a name that matches no card, lorebook entry, session
+ * character or template name pattern.
+ * - stub: a bare "A character named X." placeholder
+ * - commoner: a character generated from the commoner template
+ * @type {readonly string[]}
+ */
+export const UNMATCHED_NPC_FALLBACKS = Object.freeze(['stub', 'commoner']);
+
 /**
  * Maximum number of generated responses to retain per session character.
  * @type {number}
@@ -33,17 +54,28 @@ const MAX_RESPONSE_HISTORY = 10;
  */
 const sessionCharacters = new Map();
 
+/**
+ * Template and generated characters being created, so concurrent spawns of
+ * the same new name share one generation.
+ * Key: lowercase character name, Value: promise of the stored character (or null)
+ * @type {Map<string, Promise<Object|null>>}
+ */
+const pendingTemplateCharacters = new Map();
+
 /**
  * @typedef {Object} SessionCharacter
  * @property {string} name - Display name of the character
  * @property {string} identity - Character description/personality for prompts
  * @property {string} tier - Assigned tier ('major'|'standard'|'minor')
- * @property {'template'|'lorebook'|'stub'} source - How this character was created
+ * @property {'template'|'generated'|'lorebook'|'stub'} source - How this character was created
  * @property {string|null} templateId - Template archetype if from template
  * @property {number} spawnCount - Number of times this character has been spawned
  * @property {number} createdAt - Timestamp when character was created
  * @property {string[]} generatedResponses - Recent response history
  * @property {Object} metadata - Additional character data (descriptor, motivation, etc.)
+ * @property {string[]} profiles - Connection profiles pinned for this character, tried before its tier's chain
+ * @property {string[]} aliases - Other names the GM may use for this character
+ * @property {string[]} factions - Factions declared for this character, matched by tag filters
  * @property {Object} ephemeralState - Transient state (mood, injuries, lastInteraction)
  */
 
@@ -52,10 +84,12 @@ const sessionCharacters = new Map();
  * @property {string} name - Display name of the character
  * @property {string} identity - Full text for prompts
  * @property {string} tier - Character tier for backend selection
- * @property {'card'|'lorebook'|'session'|'template'|'stub'} source - Resolution source
+ * @property {'card'|'lorebook'|'session'|'template'|'generated'|'stub'} source - Resolution source
  * @property {number|null} stCharacterId - ST character index if from card
  * @property {string[]} knowledgeEntries - Filtered lorebook content
  * @property {0|1|2} persistenceLevel - 0=session, 1=lorebook, 2=card
+ * @property {Object} [lorebookCharacter] - Parsed lorebook definition, for lorebook characters
+ * @property {string[]} factions - Card tags or factions, matched by lorebook tag filters
  */
 
 /**
@@ -154,6 +188,9 @@ export function setSessionCharacter(name, data) {
         createdAt: data.createdAt || existing?.createdAt || Date.now(),
         generatedResponses: data.generatedResponses || existing?.generatedResponses || [],
         metadata: data.metadata || existing?.metadata || {},
+        profiles: data.profiles || existing?.profiles || [],
+        aliases: normalizeAliases(data.aliases || existing?.aliases),
+        factions: parseNameList(data.factions || existing?.factions),
         ephemeralState: {
             mood: data.ephemeralState?.mood || existing?.ephemeralState?.mood || null,
             injuries: data.ephemeralState?.injuries || existing?.ephemeralState?.injuries || [],
@@ -419,43 +456,73 @@ export function clearSessionCharacters() {
 }
 
 // ============================================================================
-// Resolution Stubs (Phase 5.2 and 5.3)
+// Resolution Layers
 // ============================================================================
 
 /**
  * Resolve a character from lorebook entries.
- * STUB: Will be implemented in Phase 5.3.
+ *
+ * Looks up an `ensemble_character:*` entry by name and flattens its voice,
+ * personality, background and quirks into identity text. The parsed fields
+ * are kept as metadata so the session copy records where it came from.
  *
  * @param {string} name - Character name to search for
- * @returns {Promise<ResolvedCharacter|null>} Resolved character or null
+ * @returns {Promise<{name: string, identity: string, tier: string, metadata: Object, lorebookCharacter: Object}|null>}
+ *          Character data for hydration, or null if no entry matches
  */
 async function resolveFromLorebook(name) {
-    // Phase 5.3 will implement parsing of ensemble_character:* lorebook entries
-    // For now, return null to continue to next resolution layer
-    logger.debug({
-        event: 'lorebook_resolution_stub',
-        name,
-        message: 'Lorebook character resolution not yet implemented (Phase 5.3)',
-    });
-    return null;
+    const character = await findLorebookCharacter(name);
+    if (!character) {
+        return null;
+    }
+
+    return {
+        name: character.name,
+        identity: formatLorebookIdentity(character) || `A character named ${character.name}.`,
+        tier: character.tier,
+        metadata: {
+            voice: character.voice,
+            personality: character.personality,
+            background: character.background,
+            quirks: character.quirks,
+            template: character.template,
+            entryKey: character._entryKey,
+            entryUid: character._entryUid,
+        },
+        lorebookCharacter: character,
+    };
+}
+
+/**
+ * Get the configured fallback for names no template pattern matches.
+ *
+ * @returns {string} One of UNMATCHED_NPC_FALLBACKS
+ */
+export function getUnmatchedNpcFallback() {
+    const fallback = getSettings().unmatchedNpcFallback;
+    return UNMATCHED_NPC_FALLBACKS.includes(fallback) ? fallback : 'stub';
 }
 
 /**
  * Resolve a character from template matching.
- * STUB: Will be implemented in Phase 5.2.
+ *
+ * Picks the archetype from role words in the name ("Guard Captain" is
+ * elite, "Thug" is commoner). Names without one use the commoner template
+ * only when the unmatched-NPC fallback is set to 'commoner'.
  *
  * @param {string} name - Character name to match against templates
  * @returns {Promise<SessionCharacter|null>} Generated session character or null
  */
 async function resolveFromTemplate(name) {
-    // Phase 5.2 will implement template matching using templates.js
-    // For now, return null to continue to next resolution layer
-    logger.debug({
-        event: 'template_resolution_stub',
-        name,
-        message: 'Template character resolution not yet implemented (Phase 5.2)',
-    });
-    return null;
+    let templateTier = suggestTemplateForName(name);
+    if (!templateTier && getUnmatchedNpcFallback() === 'commoner') {
+        templateTier = 'commoner';
+    }
+    if (!templateTier) {
+        return null;
+    }
+
+    return generateFromTemplate(name, templateTier);
 }
 
 // ============================================================================
@@ -495,6 +562,10 @@ export function hydrateFromLorebook(lorebookCharacter) {
             ...(existing?.metadata || {}),
             ...(lorebookCharacter.metadata || {}),
         },
+        profiles: existing?.profiles || [],
+        aliases: existing?.aliases || [],
+        // GM-declared factions; the entry's own stay in the lorebook
+        factions: existing?.factions || [],
         ephemeralState: {
             mood: existing?.ephemeralState?.mood || null,
             injuries: existing?.ephemeralState?.injuries || [],
@@ -520,6 +591,33 @@ export function hydrateFromLorebook(lorebookCharacter) {
 // Main Resolution Function
 // ============================================================================
 
+/**
+ * Create a character from a template, fleshed out by the utility tier when
+ * enabled, and store it in the session.
+ *
+ * @param {string} name - Canonical character name
+ * @param {Object} options - Creation options
+ * @param {string} options.situation - Situation the NPC is spawned into
+ * @param {string} [options.correlationId] - Correlation ID for logging
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Object|null>} Stored character, or null if no template applies
+ * @throws {Error} When generation is stopped through the signal
+ */
+async function createTemplateCharacter(name, { situation, correlationId, signal }) {
+    let templateChar = null;
+    if (getCharacterGenerationSettings().enabled) {
+        templateChar = await generateCharacter(name, { situation, correlationId, signal });
+    }
+    if (!templateChar) {
+        templateChar = await resolveFromTemplate(name);
+    }
+    if (templateChar) {
+        // Store in session for future access
+        setSessionCharacter(name, templateChar);
+    }
+    return templateChar;
+}
+
 /**
  * Resolve a character by name through the 5-layer priority system.
  *
@@ -527,13 +625,18 @@ export function hydrateFromLorebook(lorebookCharacter) {
  * 1. ST Character Cards - Check for existing SillyTavern character
  * 2. Lorebook Characters - Parse ensemble_character:* entries
  * 3. Session Memory - Check in-memory session characters
- * 4. Template Match - Generate from archetype templates
+ * 4. Template Match - Generate via the utility tier (if enabled), else from
+ *    archetype templates
  * 5. Minimal Stub - Create generic fallback
  *
  * @param {string} name - Character name to resolve
+ * @param {Object} [options={}] - Resolution options
+ * @param {string} [options.situation=''] - Situation the NPC is spawned into, for generation
+ * @param {string} [options.correlationId] - Correlation ID for logging
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
  * @returns {Promise<ResolvedCharacter>} Resolved character (always returns, may be stub)
  */
-export async function resolveCharacter(name) {
+export async function resolveCharacter(name, { situation = '', correlationId, signal } = {}) {
     if (!name || typeof name !== 'string') {
         logger.error({ event: 'resolve_invalid_name', name });
         throw new Error('Character name is required');
@@ -550,8 +653,31 @@ export async function resolveCharacter(name) {
         name: normalizedName,
     });
 
+    // Map aliases and near-miss spellings to a known character. An ambiguous
+    // name is reported back to the GM rather than guessed.
+    const nameMatch = await resolveName(normalizedName);
+    if (nameMatch.ambiguous.length > 0) {
+        logger.warn({
+            event: 'resolve_ambiguous_name',
+            name: normalizedName,
+            candidates: nameMatch.ambiguous.map(candidate => candidate.name),
+        }, correlationId);
+        throw createAmbiguousNameError(normalizedName, nameMatch.ambiguous);
+    }
+    if (nameMatch.match && nameMatch.method !== 'exact') {
+        logger.info({
+            event: 'resolve_name_matched',
+            name: normalizedName,
+            match: nameMatch.match.name,
+            method: nameMatch.method,
+        }, correlationId);
+    }
+    const canonicalName = nameMatch.match?.name || normalizedName;
+
     // Priority 1: ST Character Cards
-    const stCharacterId = findCharacterByName(normalizedName);
+    const stCharacterId = nameMatch.match?.source === 'card'
+        ? nameMatch.match.characterId
+        : findCharacterByName(canonicalName);
     if (stCharacterId !== null) {
         const context = SillyTavern.getContext();
         const character = context.characters[stCharacterId];
@@ -567,6 +693,7 @@ export async function resolveCharacter(name) {
             stCharacterId,
             knowledgeEntries: [], // Will be populated by context.js
             persistenceLevel: 2, // Card = highest persistence
+            factions: getCharacterTags(stCharacterId),
         };
 
         logger.info({
@@ -578,8 +705,8 @@ export async function resolveCharacter(name) {
         return resolved;
     }
 
-    // Priority 2: Lorebook Characters (stub)
-    const lorebookChar = await resolveFromLorebook(normalizedName);
+    // Priority 2: Lorebook Characters
+    const lorebookChar = await resolveFromLorebook(canonicalName);
     if (lorebookChar) {
         // Hydrate into session for ephemeral state tracking
         const hydrated = hydrateFromLorebook(lorebookChar);
@@ -593,6 +720,8 @@ export async function resolveCharacter(name) {
             stCharacterId: null,
             knowledgeEntries: [],
             persistenceLevel: 1, // Lorebook = medium persistence
+            lorebookCharacter: lorebookChar.lorebookCharacter,
+            factions: parseNameList([...lorebookChar.lorebookCharacter.factions, ...hydrated.factions]),
         };
 
         logger.info({
@@ -605,7 +734,7 @@ export async function resolveCharacter(name) {
     }
 
     // Priority 3: Session Memory
-    const sessionChar = getSessionCharacter(normalizedName);
+    const sessionChar = getSessionCharacter(canonicalName);
     if (sessionChar) {
         // Update last interaction time
         sessionChar.ephemeralState.lastInteraction = Date.now();
@@ -619,6 +748,7 @@ export async function resolveCharacter(name) {
             stCharacterId: null,
             knowledgeEntries: [],
             persistenceLevel: 0, // Session = lowest persistence
+            factions: sessionChar.factions || [],
         };
 
         logger.info({
@@ -631,29 +761,52 @@ export async function resolveCharacter(name) {
         return resolved;
     }
 
-    // Priority 4: Template Match (stub)
-    const templateChar = await resolveFromTemplate(normalizedName);
-    if (templateChar) {
-        // Store in session for future access
-        setSessionCharacter(normalizedName, templateChar);
+    // Priority 4: Template Match, fleshed out by the utility tier when
+    // enabled (falls back to the plain template if generation fails).
+    // A spawn of a name already being created waits for that character.
+    const pendingKey = canonicalName.toLowerCase();
+    const pending = pendingTemplateCharacters.get(pendingKey);
+    if (pending) {
+        try {
+            await pending;
+        } catch {
+            // That spawn was stopped; create the character for this one
+        }
+        if (getSessionCharacter(canonicalName)) {
+            return resolveCharacter(canonicalName, { situation, correlationId, signal });
+        }
+    }
 
+    const creation = createTemplateCharacter(canonicalName, { situation, correlationId, signal });
+    pendingTemplateCharacters.set(pendingKey, creation);
+    let templateChar;
+    try {
+        templateChar = await creation;
+    } finally {
+        if (pendingTemplateCharacters.get(pendingKey) === creation) {
+            pendingTemplateCharacters.delete(pendingKey);
+        }
+    }
+    if (templateChar) {
         /** @type {ResolvedCharacter} */
         const resolved = {
             name: templateChar.name,
             identity: templateChar.identity,
             tier: templateChar.tier,
-            source: 'template',
+            source: templateChar.source,
             stCharacterId: null,
             knowledgeEntries: [],
             persistenceLevel: 0, // Template-generated = session persistence
+            factions: [],
         };
 
         logger.info({
             event: 'resolved_from_template',
             name: resolved.name,
             tier: resolved.tier,
+            source: resolved.source,
             templateId: templateChar.templateId,
-        });
+        }, correlationId);
 
         return resolved;
     }
@@ -661,13 +814,13 @@ export async function resolveCharacter(name) {
     // Priority 5: Minimal Stub
     logger.info({
         event: 'creating_stub_character',
-        name: normalizedName,
+        name: canonicalName,
     });
 
     /** @type {SessionCharacter} */
     const stubCharacter = {
-        name: normalizedName,
-        identity: `A character named ${normalizedName}.`,
+        name: canonicalName,
+        identity: `A character named ${canonicalName}.`,
         tier: 'minor',
         source: 'stub',
         templateId: null,
@@ -683,7 +836,7 @@ export async function resolveCharacter(name) {
     };
 
     // Store stub in session for consistency
-    setSessionCharacter(normalizedName, stubCharacter);
+    setSessionCharacter(canonicalName, stubCharacter);
 
     /** @type {ResolvedCharacter} */
     const resolved = {
@@ -694,11 +847,157 @@ export async function resolveCharacter(name) {
         stCharacterId: null,
         knowledgeEntries: [],
         persistenceLevel: 0,
+        factions: [],
     };
 
     if (typeof toastr !== 'undefined') {
-        toastr.info(`Created stub character: ${normalizedName}`);
+        toastr.info(`Created stub character: ${canonicalName}`);
     }
 
     return resolved;
 }
+
+// ============================================================================
+// Factions
+// ============================================================================
+
+/**
+ * Read a character's factions from where it is defined, without resolving
+ * it: looking factions up never hydrates or touches session characters.
+ *
+ * @param {{name: string, source: string, characterId: number|null}} candidate - Known character
+ * @param {Object|null} lorebookCharacter - Its parsed lorebook entry, if any
+ * @returns {{name: string, source: string, factions: string[]}} The character's factions
+ */
+function readFactions(candidate, lorebookCharacter) {
+    if (candidate.source === 'card') {
+        return { name: candidate.name, source: 'card', factions: getCharacterTags(candidate.characterId) };
+    }
+
+    const declared = getSessionCharacter(candidate.name)?.factions || [];
+    if (lorebookCharacter) {
+        return {
+            name: lorebookCharacter.name,
+            source: 'lorebook',
+            factions: parseNameList([...(lorebookCharacter.factions || []), ...declared]),
+        };
+    }
+    return { name: candidate.name, source: 'session', factions: declared };
+}
+
+/**
+ * Get a known character's factions without creating a new character.
+ * Lorebook entries also match on part of the name, as they do when resolving.
+ *
+ * @param {string} name - Character name or alias
+ * @returns {Promise<{name: string, source: string, factions: string[]}|null>}
+ *          The character's factions, or null if the name matches no one character
+ */
+export async function getCharacterFactions(name) {
+    const { match } = await resolveName(name);
+    if (match) {
+        const lorebookCharacter = match.source === 'lorebook' ? await findLorebookCharacter(match.name) : null;
+        return readFactions(match, lorebookCharacter);
+    }
+
+    const lorebookCharacter = await findLorebookCharacter(name);
+    if (!lorebookCharacter) {
+        return null;
+    }
+    return readFactions({ name: lorebookCharacter.name, source: 'lorebook', characterId: null }, lorebookCharacter);
+}
+
+/**
+ * Get the factions of every known character that has any.
+ *
+ * @returns {Promise<Array<{name: string, source: string, factions: string[]}>>} Characters with factions
+ */
+export async function getAllCharacterFactions() {
+    const lorebookCharacters = await getAllLorebookCharacters();
+    return (await getNameCandidates())
+        .map(candidate => readFactions(candidate, candidate.source === 'lorebook'
+            ? lorebookCharacters.get(candidate.name.toLowerCase()) || null
+            : null))
+        .filter(character => character.factions.length > 0);
+}
+
+/**
+ * Find the character a faction edit applies to.
+ *
+ * Cards take their factions from their ST tags, so only lorebook and
+ * session characters can be edited. Lorebook characters are hydrated into
+ * the session first.
+ *
+ * @param {string} name - Character name or alias
+ * @returns {Promise<{character?: ResolvedCharacter, error?: string}>} Target character or error
+ */
+async function findFactionTarget(name) {
+    const { match, ambiguous } = await resolveName(name);
+    if (ambiguous.length > 0) {
+        return { error: createAmbiguousNameError(name, ambiguous).message };
+    }
+    if (match?.source === 'card') {
+        return { error: `${match.name} is a character card; give the card SillyTavern tags instead.` };
+    }
+    const knownName = match?.name || (await findLorebookCharacter(name))?.name;
+    if (!knownName) {
+        return { error: `No character named "${name}".` };
+    }
+    return { character: await resolveCharacter(knownName) };
+}
+
+/**
+ * Add factions to a lorebook or session character.
+ *
+ * @param {string} name - Character name or alias
+ * @param {string[]} factions - Factions to add
+ * @returns {Promise<{success: boolean, name?: string, factions?: string[], error?: string}>} Result
+ */
+export async function addFactions(name, factions) {
+    const { character, error } = await findFactionTarget(name);
+    if (!character) {
+        return { success: false, error };
+    }
+
+    const declared = parseNameList([...(getSessionCharacter(character.name)?.factions || []), ...factions]);
+    updateSessionCharacter(character.name, { factions: declared });
+
+    logger.info({ event: 'factions_added', name: character.name, factions });
+    return { success: true, name: character.name, factions: parseNameList([...character.factions, ...declared]) };
+}
+
+/**
+ * Remove declared factions from a lorebook or session character.
+ *
+ * @param {string} name - Character name or alias
+ * @param {string[]} factions - Factions to remove
+ * @returns {Promise<{success: boolean, name?: string, factions?: string[], error?: string}>} Result
+ */
+export async function removeFactions(name, factions) {
+    const { character, error } = await findFactionTarget(name);
+    if (!character) {
+        return { success: false, error };
+    }
+
+    const toRemove = new Set(factions.map(faction => faction.trim().toLowerCase()));
+    const current = getSessionCharacter(character.name)?.factions || [];
+    const declared = current.filter(faction => !toRemove.has(faction.toLowerCase()));
+    if (declared.length === current.length) {
+        const fromLorebook = (character.lorebookCharacter?.factions || [])
+            .some(faction => toRemove.has(faction.toLowerCase()));
+        return {
+            success: false,
+            error: fromLorebook
+                ? `That faction is defined in ${character.name}'s lorebook entry; edit it there.`
+                : `${character.name} has no such faction.`,
+        };
+    }
+    updateSessionCharacter(character.name, { factions: declared });
+
+    logger.info({ event: 'factions_removed', name: character.name, factions: [...toRemove] });
+    return {
+        success: true,
+        name: character.name,
+        factions: parseNameList([...(character.lorebookCharacter?.factions || []), ...declared]),
+    };
+}
@@ -3,17 +3,30 @@
  *
  * Commands:
  * /ensemble spawn [npcs...] - Spawn NPC responses
- * /ensemble status - Show rate limit status
+ * /ensemble status - Show rate limit, quota and circuit breaker status
  * /ensemble clear - Clear rate limit state
- * /ensemble stop - Abort pending requests
+ * /ensemble stop [job|npc] - Abort pending requests (all, one job, or one NPC)
+ * /ensemble jobs - List spawns in flight
+ * /ensemble cost [reset] - Show token usage and spend (or reset it)
  * /ensemble promote [name] - Promote session character to lorebook/card
+ * /ensemble alias [add|remove] [name = alias, ...] - List or edit character aliases
+ * /ensemble faction [add|remove] [name = faction, ...] - List or edit character factions
+ * /ensemble teach npc[, npc...] [from name] = knowledge - Grant NPCs knowledge for this chat
+ * /ensemble grants [npc] - List knowledge grants
+ * /ensemble forget [id|npc] - Revoke a grant, or all of an NPC's grants
  *
  * @module commands
  */
 
 import { logger } from './logger.js';
 import { spawnNPCResponses, abortCurrentSpawn, getSceneCharacters } from './orchestrator.js';
-import { clearAllRateLimits, getRateLimitState } from './rate-limiter.js';
+import { clearAllRateLimits, getRateLimitState, getBreakerState, getQuotaRemaining } from './rate-limiter.js';
+import { getActiveJobs, stopJobOrNpc } from './jobs.js';
+import { getCostReport, resetCosts, formatCost } from './cost-tracker.js';
+import { getCostSettings, getQuotaSettings, getProfileQuota } from './settings.js';
+import { getNameCandidates, addAliases, removeAliases, resolveName } from './name-resolver.js';
+import { getCharacterFactions, getAllCharacterFactions, addFactions, removeFactions } from './character-resolver.js';
+import { grantKnowledge, revokeGrants, getGrants } from './knowledge-grants.js';
 import {
     getPromotionStatus,
     getPromotableCharacters,
@@ -45,9 +58,23 @@ async function handleEnsembleCommand(namedArgs, unnamedArgs) {
         case 'clear':
             return handleClear();
         case 'stop':
-            return handleStop();
+            return handleStop(subArgs);
+        case 'jobs':
+            return handleJobs();
+        case 'cost':
+            return handleCost(subArgs);
         case 'promote':
             return await handlePromote(subArgs);
+        case 'alias':
+            return await handleAlias(subArgs);
+        case 'faction':
+            return await handleFaction(subArgs);
+        case 'teach':
+            return await handleTeach(subArgs);
+        case 'grants':
+            return handleGrants(subArgs);
+        case 'forget':
+            return await handleForget(subArgs);
         default:
             return getHelpText();
     }
@@ -82,21 +109,57 @@ async function handleSpawn(npcs) {
 
 /**
  * /ensemble status
- * @returns {string} Rate limit status display
+ * @returns {string} Rate limit, quota and circuit breaker status display
  */
 function handleStatus() {
     const state = getRateLimitState();
+    const breakers = getBreakerState();
+    const quotaProfiles = Object.keys(getQuotaSettings().profiles || {})
+        .filter(profile => getProfileQuota(profile));
 
-    if (state.size === 0) {
+    if (state.size === 0 && breakers.size === 0 && quotaProfiles.length === 0) {
         return 'No rate limit data. All profiles available.';
     }
 
-    let status = '**Rate Limit Status:**\n';
-    for (const [profile, data] of state.entries()) {
-        const limited = data.isLimited ? 'LIMITED' : 'OK';
-        const errors = data.consecutiveErrors > 0 ? ` (${data.consecutiveErrors} errors)` : '';
-        status += `- ${profile}: ${limited}${errors}\n`;
+    let status = '';
+
+    if (state.size > 0) {
+        status += '**Rate Limit Status:**\n';
+        for (const [profile, data] of state.entries()) {
+            const limited = data.isLimited ? 'LIMITED' : 'OK';
+            const errors = data.consecutiveErrors > 0 ? ` (${data.consecutiveErrors} errors)` : '';
+            status += `- ${profile}: ${limited}${errors}\n`;
+        }
+    }
+
+    if (quotaProfiles.length > 0) {
+        status += `${status ? '\n' : ''}**Quotas (left this minute):**\n`;
+        for (const profile of quotaProfiles) {
+            const limits = getProfileQuota(profile);
+            const remaining = getQuotaRemaining(profile, limits);
+            const parts = [];
+            if (remaining.requests !== null) parts.push(`${remaining.requests}/${limits.rpm} requests`);
+            if (remaining.tokens !== null) parts.push(`${remaining.tokens}/${limits.tpm} tokens`);
+            status += `- ${profile}: ${parts.join(', ')}\n`;
+        }
+    }
+
+    if (breakers.size > 0) {
+        status += `${status ? '\n' : ''}**Circuit Breakers:**\n`;
+        for (const [profile, breaker] of breakers.entries()) {
+            let detail = '';
+            if (breaker.state === 'open') {
+                const retryIn = Math.max(0, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+                detail = retryIn > 0 ? ` (probe in ${retryIn}s)` : ' (ready to probe)';
+            } else if (breaker.state === 'half_open') {
+                detail = breaker.probeInFlight ? ' (probing)' : ' (ready to probe)';
+            } else if (breaker.failures > 0) {
+                detail = ` (${breaker.failures} consecutive failures)`;
+            }
+            status += `- ${profile}: ${breaker.state.toUpperCase().replace('_', '-')}${detail}\n`;
+        }
     }
+
     return status;
 }
 
@@ -111,10 +174,25 @@ function handleClear() {
 }
 
 /**
- * /ensemble stop
+ * /ensemble stop [job|npc]
+ * Without arguments stops everything; otherwise a job id or NPC name.
+ * @param {string[]} [args=[]] - Job id or NPC name as array
  * @returns {string} Result message
  */
-function handleStop() {
+function handleStop(args = []) {
+    const target = args.join(' ').trim();
+
+    if (target) {
+        const { jobs, npcs } = stopJobOrNpc(target);
+        if (jobs.length > 0) {
+            return `Stopped job #${jobs[0]}. Completed responses preserved.`;
+        }
+        if (npcs.length > 0) {
+            return `Stopped ${npcs.join(', ')}. Other NPCs continue.`;
+        }
+        return `No job or in-flight NPC matches "${target}". Use /ensemble jobs to list them.`;
+    }
+
     const stopped = abortCurrentSpawn();
     if (stopped) {
         // Use toastr if available
@@ -126,6 +204,91 @@ function handleStop() {
     return 'No active generation to stop.';
 }
 
+/**
+ * /ensemble jobs
+ * @returns {string} List of queued and running spawns
+ */
+function handleJobs() {
+    const jobs = getActiveJobs();
+
+    if (jobs.length === 0) {
+        return 'No spawns in flight.';
+    }
+
+    let list = '**Ensemble Jobs:**\n';
+    for (const job of jobs) {
+        const active = job.activeNpcs.length > 0 ? ` — generating: ${job.activeNpcs.join(', ')}` : '';
+        list += `- #${job.id} ${job.kind} (${job.status}, ${Math.round(job.age / 1000)}s): ${job.npcs.join(', ')}${active}\n`;
+    }
+    return list;
+}
+
+/**
+ * Format one usage bucket as a line of text.
+ * @param {Object} bucket - Usage bucket from the cost tracker
+ * @returns {string} e.g. "$0.0123 (3 requests, 1200 in / 300 out)"
+ */
+function formatUsageBucket(bucket) {
+    const notes = [];
+    if (bucket.estimated > 0) notes.push(`${bucket.estimated} estimated`);
+    if (bucket.unpriced > 0) notes.push(`${bucket.unpriced} unpriced`);
+    const noteText = notes.length > 0 ? `, ${notes.join(', ')}` : '';
+    return `${formatCost(bucket.cost)} (${bucket.requests} requests, ` +
+        `${bucket.inputTokens} in / ${bucket.outputTokens} out${noteText})`;
+}
+
+/**
+ * /ensemble cost [reset]
+ * @param {string[]} [args=[]] - 'reset' to clear the chat's totals
+ * @returns {string} Usage and spend report
+ */
+function handleCost(args = []) {
+    if (args[0]?.toLowerCase() === 'reset') {
+        resetCosts();
+        return 'Cost totals cleared for this chat.';
+    }
+
+    const settings = getCostSettings();
+    if (!settings.enabled) {
+        return 'Cost tracking is off. Enable it in the Ensemble settings.';
+    }
+
+    const { chat, spawns } = getCostReport();
+    if (!chat || chat.total.requests === 0) {
+        return 'No usage recorded in this chat yet.';
+    }
+
+    let report = `**Ensemble Cost (this chat):** ${formatUsageBucket(chat.total)}\n`;
+
+    const sections = [['By tier', chat.byTier], ['By NPC', chat.byNpc], ['By profile', chat.byProfile]];
+    for (const [title, groups] of sections) {
+        const entries = Object.entries(groups).sort((a, b) => b[1].cost - a[1].cost);
+        if (entries.length === 0) continue;
+        report += `\n**${title}:**\n`;
+        for (const [name, bucket] of entries) {
+            report += `- ${name}: ${formatUsageBucket(bucket)}\n`;
+        }
+    }
+
+    if (spawns.length > 0) {
+        report += '\n**Recent spawns:**\n';
+        for (const spawn of spawns.slice(0, 5)) {
+            report += `- ${spawn.correlationId} (${spawn.npcs.join(', ') || 'no NPCs'}): ${formatUsageBucket(spawn.totals)}\n`;
+        }
+    }
+
+    if (settings.cap > 0) {
+        const action = settings.capAction === 'downgrade' ? `downgrade to ${settings.downgradeTier}` : 'block';
+        report += `\n**Budget cap:** ${formatCost(chat.total.cost)} of ${formatCost(settings.cap)} (then ${action})\n`;
+    }
+
+    if (chat.total.unpriced > 0) {
+        report += '\nUnpriced requests count as $0. Add their profile or model to the price table in settings.';
+    }
+
+    return report;
+}
+
 /**
  * /ensemble promote [name]
  * Promote a session character to lorebook or card.
@@ -188,6 +351,179 @@ async function handlePromote(args) {
     }
 }
 
+/**
+ * /ensemble alias [add|remove] [name = alias, ...]
+ * Without arguments lists every character's aliases; with a name, that
+ * character's. `add`/`remove` take `Name = alias, alias`.
+ * @param {string[]} args - Action, name and aliases as array
+ * @returns {Promise<string>} Result message
+ */
+async function handleAlias(args = []) {
+    const action = args[0]?.toLowerCase();
+
+    if (action === 'add' || action === 'remove') {
+        const [name, aliasText = ''] = args.slice(1).join(' ').split('=');
+        const aliases = aliasText.split(',').map(alias => alias.trim()).filter(Boolean);
+        if (!name?.trim() || aliases.length === 0) {
+            return `Usage: /ensemble alias ${action} <name> = <alias>, <alias>`;
+        }
+
+        const result = action === 'add'
+            ? await addAliases(name.trim(), aliases)
+            : await removeAliases(name.trim(), aliases);
+        if (!result.success) {
+            return result.error;
+        }
+        return `${result.name} aliases: ${result.aliases.length > 0 ? result.aliases.join(', ') : '(none)'}`;
+    }
+
+    const name = args.join(' ').trim();
+    if (name) {
+        const { match, ambiguous } = await resolveName(name);
+        if (!match) {
+            return ambiguous.length > 0
+                ? `"${name}" could refer to ${ambiguous.map(candidate => candidate.name).join(', ')}.`
+                : `No character named "${name}".`;
+        }
+        return `**${match.name}** (${match.source}): ${match.aliases.length > 0 ? match.aliases.join(', ') : 'no aliases'}`;
+    }
+
+    const withAliases = (await getNameCandidates()).filter(candidate => candidate.aliases.length > 0);
+    if (withAliases.length === 0) {
+        return 'No aliases defined.\n\nUse `/ensemble alias add <name> = <alias>, <alias>` to add some.';
+    }
+
+    let list = '**Character Aliases:**\n';
+    for (const candidate of withAliases) {
+        list += `- ${candidate.name} (${candidate.source}): ${candidate.aliases.join(', ')}\n`;
+    }
+    return list;
+}
+
+/**
+ * /ensemble faction [add|remove] [name = faction, ...]
+ * Without arguments lists every character's factions; with a name, that
+ * character's. `add`/`remove` take `Name = faction, faction` and apply to
+ * lorebook and session characters (cards use their ST tags).
+ * @param {string[]} args - Action, name and factions as array
+ * @returns {Promise<string>} Result message
+ */
+async function handleFaction(args = []) {
+    const action = args[0]?.toLowerCase();
+
+    if (action === 'add' || action === 'remove') {
+        const [name, factionText = ''] = args.slice(1).join(' ').split('=');
+        const factions = factionText.split(',').map(faction => faction.trim()).filter(Boolean);
+        if (!name?.trim() || factions.length === 0) {
+            return `Usage: /ensemble faction ${action} <name> = <faction>, <faction>`;
+        }
+
+        const result = action === 'add'
+            ? await addFactions(name.trim(), factions)
+            : await removeFactions(name.trim(), factions);
+        if (!result.success) {
+            return result.error;
+        }
+        return `${result.name} factions: ${result.factions.length > 0 ? result.factions.join(', ') : '(none)'}`;
+    }
+
+    const name = args.join(' ').trim();
+    if (name) {
+        const character = await getCharacterFactions(name);
+        if (!character) {
+            return `No character named "${name}".`;
+        }
+        return `**${character.name}** (${character.source}): ${character.factions.length > 0 ? character.factions.join(', ') : 'no factions'}`;
+    }
+
+    const characters = await getAllCharacterFactions();
+    if (characters.length === 0) {
+        return 'No factions defined.\n\nUse `/ensemble faction add <name> = <faction>, <faction>` to add some.';
+    }
+
+    let list = '**Character Factions:**\n';
+    for (const character of characters) {
+        list += `- ${character.name} (${character.source}): ${character.factions.join(', ')}\n`;
+    }
+    return list;
+}
+
+/**
+ * Format one knowledge grant as a list line.
+ * @param {Object} grant - Knowledge grant
+ * @returns {string} Markdown list item
+ */
+function formatGrant(grant) {
+    const type = grant.type !== 'fact' ? ` [${grant.type}]` : '';
+    const from = grant.from ? ` (from ${grant.from})` : '';
+    const message = grant.messageId !== null ? `, message #${grant.messageId}` : '';
+    return `- #${grant.id} ${grant.npc}${type}: ${grant.content}${from}${message}`;
+}
+
+/**
+ * /ensemble teach npc[, npc...] [from name] = knowledge
+ * Grants the NPCs the knowledge for this chat. The knowledge may start with
+ * a type prefix such as `[Rumor]`.
+ * @param {string[]} args - NPCs, optional teller and knowledge as array
+ * @returns {Promise<string>} Result message
+ */
+async function handleTeach(args = []) {
+    const text = args.join(' ');
+    const separator = text.indexOf('=');
+    const [npcText, from = null] = (separator >= 0 ? text.slice(0, separator) : '').split(/\s+from\s+/i);
+    const npcs = npcText.split(',').map(npc => npc.trim()).filter(Boolean);
+    const content = separator >= 0 ? text.slice(separator + 1).trim() : '';
+    if (npcs.length === 0 || !content) {
+        return 'Usage: /ensemble teach <npc>[, <npc>] [from <name>] = <knowledge>';
+    }
+
+    const result = await grantKnowledge({ npcs, content, from: from?.trim() || null });
+    if (!result.success) {
+        return result.error;
+    }
+    return `**Knowledge granted:**\n${result.grants.map(formatGrant).join('\n')}`;
+}
+
+/**
+ * /ensemble grants [npc]
+ * @param {string[]} args - Optional NPC name as array
+ * @returns {string} Result markdown
+ */
+function handleGrants(args = []) {
+    const npc = args.join(' ').trim();
+    const grants = getGrants(npc || undefined);
+    if (grants.length === 0) {
+        return npc
+            ? `${npc} has not been taught anything in this chat.`
+            : 'No knowledge grants in this chat.\n\nUse `/ensemble teach <npc> = <knowledge>` to add one.';
+    }
+    return `**Knowledge Grants:**\n${grants.map(formatGrant).join('\n')}`;
+}
+
+/**
+ * /ensemble forget [id|npc]
+ * @param {string[]} args - Grant id or NPC name as array
+ * @returns {Promise<string>} Result message
+ */
+async function handleForget(args = []) {
+    const target = args.join(' ').replace(/^#/, '').trim();
+    if (!target) {
+        return 'Usage: /ensemble forget <grant id> or /ensemble forget <npc>';
+    }
+
+    try {
+        const revoked = /^\d+$/.test(target)
+            ? await revokeGrants({ id: Number(target) })
+            : await revokeGrants({ npc: target });
+        if (revoked.length === 0) {
+            return `No knowledge grants match "${target}".`;
+        }
+        return `Revoked ${revoked.length} grant${revoked.length === 1 ? '' : 's'}:\n${revoked.map(formatGrant).join('\n')}`;
+    } catch (error) {
+        return error.message;
+    }
+}
+
 /**
  * Help text for /ensemble command
  * @returns {string} Help text
@@ -195,10 +531,17 @@ async function handlePromote(args) {
 function getHelpText() {
     return `**Ensemble Commands:**
 /ensemble spawn [npcs...] - Generate NPC responses (defaults to scene characters)
-/ensemble status - Show rate limit status per profile
+/ensemble status - Show rate limit, quota and circuit breaker status per profile
 /ensemble clear - Clear all rate limit state
-/ensemble stop - Abort pending generation (keeps completed)
-/ensemble promote [name] - Promote session character to lorebook/card`;
+/ensemble stop [job|npc] - Abort pending generation: all, one job, or one NPC (keeps completed)
+/ensemble jobs - List spawns in flight
+/ensemble cost [reset] - Show token usage and spend for this chat (or reset it)
+/ensemble promote [name] - Promote session character to lorebook/card
+/ensemble alias [add|remove] [name = alias, ...] - List or edit the names that resolve to a character
+/ensemble faction [add|remove] [name = faction, ...] - List or edit the factions that tag filters match
+/ensemble teach npc[, npc...] [from name] = knowledge - Teach NPCs something for this chat
+/ensemble grants [npc] - List what NPCs have been taught in this chat
+/ensemble forget [id|npc] - Revoke a taught piece of knowledge, or everything an NPC was taught`;
 }
 
 /**
@@ -223,7 +566,7 @@ export function registerSlashCommands() {
             'ensemble',
             handleEnsembleCommand,
             [],
-            '<spawn|status|clear|stop> [args] - Ensemble NPC orchestration',
+            '<spawn|status|clear|stop|jobs|cost|promote|alias|faction|teach|grants|forget> [args] - Ensemble NPC orchestration',
             true,  // interruptsGeneration
             true   // purgeFromMessage
         );
@@ -261,6 +604,13 @@ export {
     handleStatus,
     handleClear,
     handleStop,
+    handleJobs,
+    handleCost,
     handlePromote,
+    handleAlias,
+    handleFaction,
+    handleTeach,
+    handleGrants,
+    handleForget,
     getHelpText,
 };
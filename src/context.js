@@ -8,11 +8,17 @@
  * - Knowledge hardening: NPCs never see entries they're unaware of
  * - characterFilter: Lorebook entries can be restricted to specific characters
  * - Scene state: Shared context about location, time, and present characters
+ * - Witnessed transcript: Recent chat the NPC plausibly saw or heard
+ * - Knowledge grants: What NPCs were told in this chat, merged in as entries
  *
  * @module context
  */
 
 import { logger } from './logger.js';
+import { getTranscriptSettings, getActivationSettings, getRankingSettings } from './settings.js';
+import { activateEntries, isSystemEntry } from './activation.js';
+import { getGrantEntries } from './knowledge-grants.js';
+import { selectTopEntries } from './knowledge-index.js';
 
 const MODULE_NAME = 'Ensemble';
 
@@ -45,7 +51,7 @@ const NPC_TEMPLATE = `# {{npc_name}}
 Location: {{scene.location}}
 Time: {{scene.time}}
 Present: {{scene.present_npcs}}
-
+{{transcript_section}}
 ---
 
 React to the following situation. {{format_instruction}}
@@ -188,6 +194,107 @@ export function getCharacterName(characterId) {
     return character?.name || null;
 }
 
+/**
+ * Split a name list given as an array or a comma-separated string.
+ * Duplicates differing only in case are dropped.
+ *
+ * @param {string|string[]|null|undefined} value - Raw list
+ * @returns {string[]} Trimmed, non-empty names
+ */
+export function parseNameList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const seen = new Set();
+    return list
+        .filter(item => typeof item === 'string')
+        .map(item => item.trim())
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Get the names of the ST tags on a character card.
+ *
+ * @param {number} characterId - Index into the characters array
+ * @returns {string[]} Tag names (empty if the card has none)
+ */
+export function getCharacterTags(characterId) {
+    const context = SillyTavern.getContext();
+    const character = context.characters[characterId];
+    const tagIds = character?.avatar ? (context.tagMap?.[character.avatar] || []) : [];
+    const tagsById = new Map((context.tags || []).map(tag => [tag.id, tag.name]));
+
+    return tagIds
+        .map(id => tagsById.get(id))
+        .filter(name => typeof name === 'string' && name.length > 0);
+}
+
+/**
+ * Resolve a character filter's tags to lowercase tag names.
+ * ST stores tag ids in `characterFilter.tags`; plain names are accepted too.
+ *
+ * @param {Array<string>} filterTags - Tag ids or names from the filter
+ * @returns {Set<string>} Lowercase tag names
+ */
+function resolveFilterTags(filterTags) {
+    const tagsById = new Map((SillyTavern.getContext().tags || []).map(tag => [tag.id, tag.name]));
+    return new Set(filterTags.map(tag => String(tagsById.get(tag) ?? tag).toLowerCase()));
+}
+
+/**
+ * Decide whether one lorebook entry is visible to an NPC, and why.
+ *
+ * Reasons:
+ * - `common`: no filter, or a filter listing no names or tags
+ * - `name` / `tag`: an include filter lists the NPC's name or one of its tags
+ * - `not_listed`: an include filter doesn't list the NPC (hidden)
+ * - `exclude_name` / `exclude_tag`: an exclude filter lists the NPC (excluded)
+ * - `not_excluded`: an exclude filter doesn't list the NPC (visible)
+ *
+ * @param {Object} entry - Lorebook entry
+ * @param {string|null} npcFilename - The NPC's filename (or lorebook entry key)
+ * @param {string|null} [npcName] - The NPC's display name
+ * @param {string[]} [npcTags=[]] - The NPC's tag or faction names
+ * @returns {{visible: boolean, reason: string}} Visibility and the reason for it
+ */
+export function getEntryVisibility(entry, npcFilename, npcName = null, npcTags = []) {
+    const filter = entry.characterFilter;
+
+    // Check if filter has any constraints
+    const hasNameFilter = filter?.names?.length > 0;
+    const hasTagFilter = filter?.tags?.length > 0;
+
+    // No filter or no constraints = common knowledge, visible to all
+    if (!hasNameFilter && !hasTagFilter) {
+        return { visible: true, reason: 'common' };
+    }
+
+    // Check both filename and display name for flexibility. Knowledge grants
+    // name NPCs as the GM typed them, so they match regardless of case
+    const isListed = entry.grant
+        ? name => filter.names.some(listed => String(listed).toLowerCase() === name.toLowerCase())
+        : name => filter.names.includes(name);
+    const isNameListed = hasNameFilter && ((npcFilename && isListed(npcFilename)) ||
+                       (npcName && isListed(npcName)));
+    const ownTags = new Set(npcTags.map(tag => String(tag).toLowerCase()));
+    const isTagListed = !isNameListed && hasTagFilter && ownTags.size > 0 &&
+        [...resolveFilterTags(filter.tags)].some(tag => ownTags.has(tag));
+
+    if (filter.isExclude) {
+        // isExclude=true: entry is visible to everyone EXCEPT listed NPCs
+        if (isNameListed) return { visible: false, reason: 'exclude_name' };
+        if (isTagListed) return { visible: false, reason: 'exclude_tag' };
+        return { visible: true, reason: 'not_excluded' };
+    }
+    // isExclude=false (default): entry is visible ONLY to listed NPCs
+    if (isNameListed) return { visible: true, reason: 'name' };
+    if (isTagListed) return { visible: true, reason: 'tag' };
+    return { visible: false, reason: 'not_listed' };
+}
+
 /**
  * Filter lorebook entries for a specific NPC using knowledge hardening.
  *
@@ -195,18 +302,28 @@ export function getCharacterName(characterId) {
  * - No filter = common knowledge (include for all)
  * - characterFilter.names with isExclude=false: include ONLY for these characters
  * - characterFilter.names with isExclude=true: exclude these characters (include for everyone else)
+ * - characterFilter.tags work the same way for characters carrying any of
+ *   the tags: card tags, or the factions of lorebook and session characters
+ *
+ * Names and tags combine: an NPC counts as listed when its name is listed
+ * OR it has a listed tag. isExclude then applies to the whole filter, so an
+ * include filter shows the entry to listed NPCs only and an exclude filter
+ * hides it from them. A filter that lists tags can't be matched by an NPC
+ * without tags, so such an NPC only sees it through the name list.
  *
  * Knowledge hardening principle:
  * - Entries the NPC is unaware of are simply not included in their context
  * - This prevents the "pink elephant effect" where mentioning something makes it leak
- * - false_beliefs entries appear as facts (NPC believes them sincerely)
+ * - false_belief entries appear as convictions (NPC believes them sincerely)
  *
  * @param {Array} entries - All lorebook entries
  * @param {string} npcFilename - The NPC's filename for filter matching
  * @param {string} [npcName] - The NPC's display name (optional, for name-based matching)
+ * @param {string[]} [npcTags=[]] - The NPC's tag or faction names (for tag-based matching)
  * @returns {Array} Filtered entries visible to this NPC
+ * @see getEntryVisibility
  */
-export function filterEntriesForNPC(entries, npcFilename, npcName = null) {
+export function filterEntriesForNPC(entries, npcFilename, npcName = null, npcTags = []) {
     if (!Array.isArray(entries)) {
         logger.warn({
             event: 'filter_invalid_entries',
@@ -223,57 +340,12 @@ export function filterEntriesForNPC(entries, npcFilename, npcName = null) {
         return [];
     }
 
-    const filtered = entries.filter(entry => {
-        const filter = entry.characterFilter;
-
-        // No filter = common knowledge, visible to all
-        if (!filter) {
-            return true;
-        }
-
-        // Check if filter has any constraints
-        const hasNameFilter = filter.names && filter.names.length > 0;
-        const hasTagFilter = filter.tags && filter.tags.length > 0;
-
-        // No constraints = common knowledge
-        if (!hasNameFilter && !hasTagFilter) {
-            return true;
-        }
-
-        // Handle character name filter
-        if (hasNameFilter) {
-            // Check both filename and display name for flexibility
-            const isInList = filter.names.includes(npcFilename) ||
-                           (npcName && filter.names.includes(npcName));
-
-            if (filter.isExclude) {
-                // isExclude=true: entry is visible to everyone EXCEPT these names
-                // If NPC is in the exclude list, they don't see it
-                return !isInList;
-            } else {
-                // isExclude=false (default): entry is visible ONLY to these names
-                // If NPC is not in the include list, they don't see it
-                return isInList;
-            }
-        }
-
-        // Tag filter only - Phase 3 implementation
-        // For now, if only tags are specified and no names, exclude the entry
-        // This prevents accidental information leakage
-        if (hasTagFilter && !hasNameFilter) {
-            logger.debug({
-                event: 'filter_tag_only_skipped',
-                entryKey: entry.key?.[0] || entry.comment || 'unknown',
-            });
-            return false;
-        }
-
-        return true;
-    });
+    const filtered = entries.filter(entry => getEntryVisibility(entry, npcFilename, npcName, npcTags).visible);
 
     logger.debug({
         event: 'entries_filtered',
         npc: npcFilename || npcName,
+        tags: npcTags,
         total: entries.length,
         visible: filtered.length,
     });
@@ -391,13 +463,117 @@ export function filterSceneStateForNPC(sceneState, npcFilename, npcName = null,
     };
 }
 
+/**
+ * How an NPC holds a piece of knowledge, in prompt order.
+ * @type {readonly string[]}
+ */
+export const KNOWLEDGE_TYPES = Object.freeze(['fact', 'secret', 'rumor', 'suspicion', 'false_belief']);
+
+/**
+ * Prompt heading and behavioral instruction for each knowledge type.
+ * False beliefs are presented as convictions: the NPC must never learn
+ * from its own prompt that they are false.
+ * @type {Object.<string, {heading: string, instruction: string}>}
+ */
+const KNOWLEDGE_TYPE_SECTIONS = Object.freeze({
+    fact: {
+        heading: 'What You Know',
+        instruction: 'You know these to be true.',
+    },
+    secret: {
+        heading: 'Secrets',
+        instruction: 'You know these but keep them to yourself. Never volunteer them; deflect or lie if pressed, and reveal one only under real pressure.',
+    },
+    rumor: {
+        heading: 'Rumors',
+        instruction: 'You have heard these but cannot confirm them. Treat them as hearsay and hedge when you repeat them.',
+    },
+    suspicion: {
+        heading: 'Suspicions',
+        instruction: 'You suspect these but have no proof. Let them shape how you act, and voice them only as guesses.',
+    },
+    false_belief: {
+        heading: 'Convictions',
+        instruction: 'You are certain these are true and act on them without doubt.',
+    },
+});
+
+/**
+ * Spellings accepted for each knowledge type.
+ * @type {Object.<string, string>}
+ */
+const KNOWLEDGE_TYPE_ALIASES = Object.freeze({
+    fact: 'fact',
+    secret: 'secret',
+    rumor: 'rumor',
+    rumour: 'rumor',
+    suspicion: 'suspicion',
+    false_belief: 'false_belief',
+    falsebelief: 'false_belief',
+});
+
+/**
+ * Comment prefix declaring a knowledge type: `[Secret] ...` or `Secret: ...`.
+ * @type {RegExp}
+ */
+const KNOWLEDGE_TYPE_PREFIX = /^\s*(?:\[([a-z _-]+)\]|([a-z _-]+?)\s*:)/i;
+
+/**
+ * Normalize a knowledge type name.
+ *
+ * @param {*} value - Raw type (e.g. "False Belief", "rumour")
+ * @returns {string|null} Knowledge type, or null if unrecognized
+ */
+export function normalizeKnowledgeType(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return KNOWLEDGE_TYPE_ALIASES[key] || KNOWLEDGE_TYPE_ALIASES[key.replace(/_/g, '')] || null;
+}
+
+/**
+ * Split a recognized knowledge type prefix off a piece of text.
+ *
+ * @param {string} text - Text such as `[Rumor] Joker is alive` or `Secret: vault code`
+ * @returns {{type: string|null, text: string}} Declared type (null if none) and the remaining text
+ */
+export function parseKnowledgeTypePrefix(text) {
+    const value = String(text || '');
+    const prefix = value.match(KNOWLEDGE_TYPE_PREFIX);
+    const type = normalizeKnowledgeType(prefix?.[1] ?? prefix?.[2]);
+    return type
+        ? { type, text: value.slice(prefix[0].length).trim() }
+        : { type: null, text: value.trim() };
+}
+
+/**
+ * Get a lorebook entry's knowledge type.
+ *
+ * A `knowledgeType` field on the entry wins; otherwise a recognized prefix
+ * on the entry's comment (`[Rumor] Joker is alive`, `Secret: vault code`)
+ * declares it. Everything else is a fact.
+ *
+ * @param {Object} entry - Lorebook entry or knowledge item
+ * @returns {string} One of KNOWLEDGE_TYPES
+ */
+export function getKnowledgeType(entry) {
+    const fromField = normalizeKnowledgeType(entry?.knowledgeType);
+    if (fromField) {
+        return fromField;
+    }
+
+    return parseKnowledgeTypePrefix(entry?.comment).type || 'fact';
+}
+
 /**
  * Format knowledge entries into readable text.
  *
- * Combines lorebook entry contents into a coherent knowledge section
- * for the NPC prompt.
+ * When every entry is a plain fact the contents are simply joined. Once any
+ * entry has another type, entries are grouped by type under headings, each
+ * with an instruction on how the NPC treats that kind of knowledge.
  *
- * @param {Array} entries - Filtered lorebook entries for this NPC
+ * @param {Array} entries - Filtered lorebook entries or knowledge items for this NPC
  * @returns {string} Formatted knowledge text
  */
 export function formatKnowledge(entries) {
@@ -405,35 +581,282 @@ export function formatKnowledge(entries) {
         return 'No specific knowledge available.';
     }
 
-    // Extract and clean content from each entry
-    const knowledgePieces = entries
-        .map(entry => {
-            const content = entry.content || '';
-            return content.trim();
-        })
-        .filter(content => content.length > 0);
+    // Group cleaned content by knowledge type
+    const groups = new Map(KNOWLEDGE_TYPES.map(type => [type, []]));
+    for (const entry of entries) {
+        const content = (entry.content || '').trim();
+        if (content.length > 0) {
+            groups.get(getKnowledgeType(entry)).push(content);
+        }
+    }
 
-    if (knowledgePieces.length === 0) {
+    const pieceCount = [...groups.values()].reduce((sum, pieces) => sum + pieces.length, 0);
+    if (pieceCount === 0) {
         return 'No specific knowledge available.';
     }
 
-    // Join with double newlines for readability
-    return knowledgePieces.join('\n\n');
+    // Plain facts only: join with double newlines for readability
+    if (groups.get('fact').length === pieceCount) {
+        return groups.get('fact').join('\n\n');
+    }
+
+    return KNOWLEDGE_TYPES
+        .filter(type => groups.get(type).length > 0)
+        .map(type => {
+            const { heading, instruction } = KNOWLEDGE_TYPE_SECTIONS[type];
+            return `### ${heading}\n*${instruction}*\n\n${groups.get(type).join('\n\n')}`;
+        })
+        .join('\n\n');
 }
 
 /**
- * Build complete NPC context object.
+ * Rough token estimate for budgeting (~4 characters per token).
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Normalize a character reference for witness matching.
+ * "Harley Quinn", "harley_quinn" and "harley-quinn" all compare equal.
+ *
+ * @param {string} name - Name, filename or scene-state id
+ * @returns {string} Normalized identifier
+ */
+function normalizeWitnessId(name) {
+    return String(name || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Check whether an NPC appears in a list of witnesses.
+ *
+ * @param {Array<string>} witnesses - Names, filenames or scene-state ids
+ * @param {Set<string>} npcIds - Normalized identifiers for the NPC
+ * @returns {boolean} True if the NPC is listed
+ */
+function isWitnessListed(witnesses, npcIds) {
+    return witnesses.some(witness => npcIds.has(normalizeWitnessId(witness)));
+}
+
+/**
+ * Get the witness list recorded on a chat message, if any.
+ *
+ * Messages can carry `extra.ensemble.witnesses` (preferred) or
+ * `extra.ensemble.present_npcs` to record who was in the scene.
+ *
+ * @param {Object} message - ST chat message
+ * @returns {Array<string>|null} Witness list, or null if the message has none
+ */
+function getMessageWitnesses(message) {
+    const meta = message?.extra?.ensemble;
+    if (Array.isArray(meta?.witnesses)) {
+        return meta.witnesses;
+    }
+    if (Array.isArray(meta?.present_npcs)) {
+        return meta.present_npcs;
+    }
+    return null;
+}
+
+/**
+ * NPCs who spoke since the last GM message was stamped. They were in the
+ * scene for that message even if the scene state doesn't list them yet.
+ * @type {Set<string>}
+ */
+const pendingWitnesses = new Set();
+
+/**
+ * Record NPCs who just spoke, so the GM message that relays their output
+ * lists them as witnesses.
+ *
+ * @param {Array<string>} names - NPC names
+ */
+export function noteWitnesses(names) {
+    for (const name of names || []) {
+        if (typeof name === 'string' && name.trim()) {
+            pendingWitnesses.add(name.trim());
+        }
+    }
+}
+
+/**
+ * Record on a chat message who was in the scene when it was posted.
+ *
+ * Writes `extra.ensemble.witnesses` from the scene state's present_npcs,
+ * plus any NPCs noted with noteWitnesses (cleared
+ * once a non-user message is stamped). Messages posted while present_npcs
+ * is empty are left unstamped: everyone was present. SillyTavern saves the
+ * chat after sending and receiving messages, so the stamp is persisted
+ * with it.
+ *
+ * @param {number} messageId - Index of the message in the chat
+ * @returns {Promise<Array<string>|null>} Witnesses written, or null if the message was not stamped
+ */
+export async function stampMessageWitnesses(messageId) {
+    const message = SillyTavern.getContext().chat?.[messageId];
+    if (!message || message.is_system || getMessageWitnesses(message)) {
+        return null;
+    }
+
+    const sceneState = getSceneState(await getAllLorebookEntries());
+    const present = Array.isArray(sceneState.present_npcs) ? sceneState.present_npcs : [];
+    const speakers = message.is_user ? [] : [...pendingWitnesses];
+    if (!message.is_user) {
+        pendingWitnesses.clear();
+    }
+
+    if (present.length === 0) {
+        return null;
+    }
+
+    const witnesses = [...present];
+    const listed = new Set(present.map(normalizeWitnessId));
+    for (const name of speakers) {
+        if (!listed.has(normalizeWitnessId(name))) {
+            witnesses.push(name);
+            listed.add(normalizeWitnessId(name));
+        }
+    }
+
+    message.extra = message.extra || {};
+    message.extra.ensemble = { ...message.extra.ensemble, witnesses };
+
+    logger.debug({
+        event: 'message_witnesses_stamped',
+        messageId,
+        witnesses: witnesses.length,
+    });
+
+    return witnesses;
+}
+
+/**
+ * Select the recent chat messages an NPC plausibly witnessed.
+ *
+ * Witness rules, per message:
+ * - Messages the NPC wrote are always kept
+ * - Messages with witness metadata are kept only if the NPC is listed
+ * - Messages without it are kept only if the NPC is in the current scene's
+ *   present_npcs (an empty present_npcs list means everyone is present),
+ *   and only back to the newest stamped message that doesn't list the
+ *   NPC: anything older is from before the NPC arrived
+ *
+ * Walks back from the newest message and stops at maxMessages or when the
+ * token budget is spent. Returned messages are oldest first.
+ *
+ * @param {Array<Object>} chat - ST chat messages
+ * @param {Object} options - Selection options
+ * @param {string|null} options.npcFilename - The NPC's filename
+ * @param {string|null} options.npcName - The NPC's display name
+ * @param {Array<string>} [options.presentNpcs=[]] - present_npcs from the scene state
+ * @param {number} [options.maxMessages=10] - Maximum messages to include
+ * @param {number} [options.tokenBudget=800] - Maximum estimated tokens to include
+ * @returns {Array<{name: string, text: string, index: number}>} Witnessed messages, oldest first
+ */
+export function getWitnessedTranscript(chat, {
+    npcFilename,
+    npcName,
+    presentNpcs = [],
+    maxMessages = 10,
+    tokenBudget = 800,
+}) {
+    if (!Array.isArray(chat) || chat.length === 0 || maxMessages <= 0 || tokenBudget <= 0) {
+        return [];
+    }
+
+    const npcIds = new Set([npcFilename, npcName].filter(Boolean).map(normalizeWitnessId));
+    const presentNow = !Array.isArray(presentNpcs) || presentNpcs.length === 0 ||
+        isWitnessListed(presentNpcs, npcIds);
+
+    const selected = [];
+    let usedTokens = 0;
+    let dropped = 0;
+    let arrived = false;
+
+    for (let i = chat.length - 1; i >= 0 && selected.length < maxMessages; i--) {
+        const message = chat[i];
+        const text = (message?.mes || '').trim();
+
+        if (!text || message.is_system) {
+            continue;
+        }
+
+        const isOwnMessage = !message.is_user && npcName && message.name === npcName;
+        const witnesses = getMessageWitnesses(message);
+        const listed = witnesses ? isWitnessListed(witnesses, npcIds) : null;
+        if (listed === false) {
+            arrived = true;
+        }
+        const witnessed = isOwnMessage ||
+            (witnesses ? listed : presentNow && !arrived);
+
+        if (!witnessed) {
+            dropped++;
+            continue;
+        }
+
+        const line = { name: message.name || (message.is_user ? 'User' : 'Unknown'), text, index: i };
+        const tokens = estimateTokens(`${line.name}: ${line.text}`);
+
+        if (usedTokens + tokens > tokenBudget) {
+            break;
+        }
+
+        usedTokens += tokens;
+        selected.push(line);
+    }
+
+    logger.debug({
+        event: 'transcript_selected',
+        npc: npcName || npcFilename,
+        messages: selected.length,
+        unwitnessed: dropped,
+        tokens: usedTokens,
+    });
+
+    return selected.reverse();
+}
+
+/**
+ * Format witnessed messages into the prompt's transcript section.
+ *
+ * @param {Array<{name: string, text: string}>} messages - Witnessed messages, oldest first
+ * @returns {string} Transcript section, or empty string when there is nothing to show
+ */
+export function formatTranscriptSection(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return '';
+    }
+
+    const lines = messages.map(m => `${m.name}: ${m.text}`).join('\n\n');
+    return `\n## Recent Conversation (what you saw and heard)\n${lines}\n`;
+}
+
+/**
+ * Build complete NPC context object for a character card.
  *
  * Gathers all relevant information for an NPC:
  * - Character identity from card
- * - Filtered knowledge from lorebook
+ * - Filtered knowledge from lorebook, narrowed by keyword activation
  * - Scene state (location, time, present characters)
+ * - Recent chat transcript filtered to what the NPC witnessed
+ *
+ * The character filter is the hard visibility gate and always runs first;
+ * activation only chooses among entries the NPC is allowed to see.
  *
  * @param {number} characterId - Index into the characters array
  * @param {string} situation - The situation NPC is reacting to
+ * @param {Object} [options={}] - Build options
+ * @param {boolean} [options.activate] - Apply keyword activation (defaults to the setting);
+ *        pass false to get every visible entry, e.g. for knowledge queries
+ * @param {boolean} [options.rank] - Keep only the most relevant entries (defaults to the
+ *        ranking setting); pass false to keep every active entry
  * @returns {Promise<Object>} Context object with all NPC-relevant data
  */
-export async function buildNPCContext(characterId, situation) {
+export async function buildNPCContext(characterId, situation, options = {}) {
     const context = SillyTavern.getContext();
     const character = context.characters[characterId];
 
@@ -446,8 +869,103 @@ export async function buildNPCContext(characterId, situation) {
         throw new Error(`Character not found at index ${characterId}`);
     }
 
-    const filename = getCharacterFilename(characterId);
-    const name = character.name;
+    // Build identity from character card fields
+    // Priority: personality > description > scenario
+    let identity = '';
+    if (character.personality) {
+        identity = character.personality;
+    } else if (character.description) {
+        identity = character.description;
+    }
+    if (character.scenario && !identity.includes(character.scenario)) {
+        identity += identity ? `\n\n${character.scenario}` : character.scenario;
+    }
+
+    return assembleNPCContext({
+        name: character.name,
+        filename: getCharacterFilename(characterId),
+        identity: identity,
+        characterId: characterId,
+        tags: getCharacterTags(characterId),
+    }, situation, options);
+}
+
+/**
+ * Build complete NPC context object for a lorebook character.
+ *
+ * Same context as a character card gets; knowledge is filtered with the
+ * character's entry key (e.g. `ensemble_character:marcus`) standing in for
+ * the card filename, so lorebook character filters can name either the key
+ * or the display name. The character's factions match tag filters.
+ *
+ * @param {LorebookCharacter} character - Parsed lorebook character
+ * @param {string} situation - The situation NPC is reacting to
+ * @param {Object} [options={}] - Build options (see buildNPCContext)
+ * @returns {Promise<Object>} Context object with all NPC-relevant data
+ */
+export async function buildLorebookNPCContext(character, situation, options = {}) {
+    return assembleNPCContext({
+        name: character.name,
+        filename: character._entryKey,
+        identity: formatLorebookIdentity(character),
+        characterId: null,
+        tags: character.factions || [],
+    }, situation, options);
+}
+
+/**
+ * Build complete NPC context object for a virtual character (session,
+ * template-generated or stub).
+ *
+ * Virtual characters have no filename, so character filters match them by
+ * display name, and their declared factions match tag filters.
+ *
+ * @param {Object} character - Virtual character
+ * @param {string} character.name - Display name
+ * @param {string} character.identity - Identity text for the prompt
+ * @param {string[]} [character.factions=[]] - Declared factions
+ * @param {string} situation - The situation NPC is reacting to
+ * @param {Object} [options={}] - Build options (see buildNPCContext)
+ * @returns {Promise<Object>} Context object with all NPC-relevant data
+ */
+export async function buildVirtualNPCContext({ name, identity, factions = [] }, situation, options = {}) {
+    return assembleNPCContext({
+        name: name,
+        filename: null,
+        identity: identity,
+        characterId: null,
+        tags: factions,
+    }, situation, options);
+}
+
+/**
+ * Get the key an NPC's knowledge relevance index is cached under.
+ *
+ * @param {Object} npc - The NPC
+ * @param {string} npc.name - Display name
+ * @param {string|null} npc.filename - Identifier matched against character filters
+ * @param {string[]} [npc.tags=[]] - Card tags or factions
+ * @returns {string} Cache key
+ */
+function getKnowledgeIndexKey({ name, filename, tags = [] }) {
+    return [filename || '', name, ...tags].join('|');
+}
+
+/**
+ * Assemble the context object shared by every kind of NPC.
+ *
+ * @param {Object} npc - The NPC being prompted
+ * @param {string} npc.name - Display name
+ * @param {string} npc.filename - Identifier matched against character filters
+ * @param {string} npc.identity - Identity text for the prompt
+ * @param {number|null} npc.characterId - Character index, or null for non-card NPCs
+ * @param {string[]} [npc.tags=[]] - Card tags or factions matched against tag filters
+ * @param {string} situation - The situation NPC is reacting to
+ * @param {Object} [options={}] - Build options (see buildNPCContext)
+ * @returns {Promise<Object>} Context object with all NPC-relevant data
+ */
+async function assembleNPCContext({ name, filename, identity, characterId, tags = [] }, situation, options = {}) {
+    const context = SillyTavern.getContext();
 
     logger.debug({
         event: 'context_build_start',
@@ -455,33 +973,71 @@ export async function buildNPCContext(characterId, situation) {
         filename: filename,
     });
 
-    // Get all lorebook entries
-    const allEntries = await getAllLorebookEntries();
+    // Get all lorebook entries, plus knowledge NPCs were told in this chat
+    const allEntries = [...await getAllLorebookEntries(), ...getGrantEntries()];
 
     // Filter entries for this NPC (knowledge hardening)
-    const npcEntries = filterEntriesForNPC(allEntries, filename, name);
+    const npcEntries = filterEntriesForNPC(allEntries, filename, name, tags);
 
     // Get and filter scene state
     const rawSceneState = getSceneState(allEntries);
     const sceneState = filterSceneStateForNPC(rawSceneState, filename, name, allEntries);
 
-    // Build identity from character card fields
-    // Priority: personality > description > scenario
-    let identity = '';
-    if (character.personality) {
-        identity = character.personality;
-    } else if (character.description) {
-        identity = character.description;
+    // Recent chat, limited to what this NPC plausibly witnessed
+    const transcriptSettings = getTranscriptSettings();
+    const transcriptMessages = transcriptSettings.enabled
+        ? getWitnessedTranscript(context.chat, {
+            npcFilename: filename,
+            npcName: name,
+            presentNpcs: rawSceneState.present_npcs,
+            maxMessages: transcriptSettings.maxMessages,
+            tokenBudget: transcriptSettings.tokenBudget,
+        })
+        : [];
+
+    // Situation plus what the NPC recently witnessed, for activation and ranking
+    const activationSettings = getActivationSettings();
+    const rankingSettings = getRankingSettings();
+    const activate = options.activate ?? activationSettings.enabled;
+    const rank = options.rank ?? rankingSettings.enabled;
+    let scanText = situation || '';
+    if (activate || rank) {
+        const scanMessages = getWitnessedTranscript(context.chat, {
+            npcFilename: filename,
+            npcName: name,
+            presentNpcs: rawSceneState.present_npcs,
+            maxMessages: activationSettings.scanDepth,
+            tokenBudget: Infinity,
+        });
+        scanText = [situation, ...scanMessages.map(m => m.text)]
+            .filter(Boolean)
+            .join('\n');
     }
-    if (character.scenario && !identity.includes(character.scenario)) {
-        identity += identity ? `\n\n${character.scenario}` : character.scenario;
+
+    // Keyword activation: of the entries this NPC may see, keep only those
+    // triggered by the situation and recent chat (world-info semantics)
+    const visibleKnowledge = npcEntries.filter(entry => !isSystemEntry(entry));
+    let activeEntries;
+    if (activate) {
+        activeEntries = activateEntries(npcEntries, {
+            scanText,
+            maxRecursion: activationSettings.maxRecursion,
+        }).entries;
+    } else {
+        activeEntries = visibleKnowledge;
+    }
+
+    // Relevance ranking: keep the top-K entries for this scene
+    const indexKey = getKnowledgeIndexKey({ name, filename, tags });
+    if (rank) {
+        activeEntries = selectTopEntries(indexKey, visibleKnowledge, activeEntries, scanText, rankingSettings.topK);
     }
 
-    // Format knowledge from filtered entries
-    const knowledge = formatKnowledge(npcEntries);
+    // Format knowledge from active entries
+    const knowledge = formatKnowledge(activeEntries);
 
     // Extract raw knowledge content for programmatic access
-    const knowledgeEntries = npcEntries
+    const knowledgeEntries = activeEntries
         .map(entry => (entry.content || '').trim())
         .filter(content => content.length > 0);
 
@@ -490,26 +1046,44 @@ export async function buildNPCContext(characterId, situation) {
         identity: identity || 'No character information available.',
         knowledge: knowledge, // Formatted string for prompts
         knowledgeEntries: knowledgeEntries, // Raw array for queries
+        knowledgeItems: activeEntries.map(entry => ({
+            uid: entry.uid,
+            comment: entry.comment || '',
+            order: entry.order ?? 100,
+            content: entry.content || '',
+            knowledgeType: getKnowledgeType(entry),
+            key: entry.key,
+            world: entry.world,
+        })), // Per-entry data for token budgeting and queries
         scene: {
             location: sceneState.location,
             time: sceneState.time,
             present_npcs: sceneState.present_npcs_display || sceneState.present_npcs,
             tension: sceneState.tension,
         },
+        transcript_section: formatTranscriptSection(transcriptMessages),
+        transcriptMessages: transcriptMessages, // Raw array for budgeting/debugging
         situation: situation,
         // Metadata for debugging
         _meta: {
             characterId: characterId,
             filename: filename,
+            tags: tags,
             entryCount: npcEntries.length,
+            activatedCount: activeEntries.length,
+            activation: activate,
+            ranking: rank,
+            indexKey: indexKey, // Knowledge index cache key, for ranked queries
             totalEntries: allEntries.length,
+            transcriptMessages: transcriptMessages.length,
         },
     };
 
     logger.debug({
         event: 'context_build_complete',
         npc: name,
-        knowledgeEntries: npcEntries.length,
+        visibleEntries: npcEntries.length,
+        knowledgeEntries: activeEntries.length,
         identityLength: identity.length,
     });
 
@@ -631,13 +1205,15 @@ export function isLorebookAvailable() {
 export async function getKnowledgeSummary(characterId) {
     const filename = getCharacterFilename(characterId);
     const name = getCharacterName(characterId);
-    const allEntries = await getAllLorebookEntries();
-    const visibleEntries = filterEntriesForNPC(allEntries, filename, name);
+    const allEntries = [...await getAllLorebookEntries(), ...getGrantEntries()];
+    const tags = getCharacterTags(characterId);
+    const visibleEntries = filterEntriesForNPC(allEntries, filename, name, tags);
     const hiddenCount = allEntries.length - visibleEntries.length;
 
     return {
         character: name,
         filename: filename,
+        tags: tags,
         totalEntries: allEntries.length,
         visibleEntries: visibleEntries.length,
         hiddenEntries: hiddenCount,
@@ -661,6 +1237,8 @@ export async function getKnowledgeSummary(characterId) {
  * @property {string} personality - Personality description
  * @property {string} background - Background/history
  * @property {string[]} quirks - Character quirks and mannerisms
+ * @property {string[]} aliases - Other names the character goes by
+ * @property {string[]} factions - Factions the character belongs to (matched by tag filters)
  * @property {string} _entryKey - Original lorebook key for reference
  * @property {string} _entryUid - Lorebook entry UID
  */
@@ -854,7 +1432,7 @@ export function isCharacterEntry(entry) {
  *
  * Expected lorebook entry format:
  * - Key: `ensemble_character:marcus` or `ensemble_character:guard_captain_marcus`
- * - Content: YAML format with name, tier, template, voice, personality, background, quirks
+ * - Content: YAML format with name, tier, template, voice, personality, background, quirks, aliases, faction
  *
  * @param {Object} entry - Lorebook entry object
  * @returns {LorebookCharacter|null} Parsed character or null if not a character entry
@@ -896,6 +1474,10 @@ export function parseLorebookCharacter(entry) {
         personality: parsed.personality || '',
         background: parsed.background || '',
         quirks: Array.isArray(parsed.quirks) ? parsed.quirks : [],
+        // Either a YAML list or a comma-separated line
+        aliases: parseNameList(parsed.aliases),
+        // `faction: Gotham PD` or a `factions:` list
+        factions: parseNameList(parsed.factions || parsed.faction),
         // Metadata
         _entryKey: `${CHARACTER_ENTRY_PREFIX}${characterId}`,
         _entryUid: entry.uid || '',
@@ -911,6 +1493,34 @@ export function parseLorebookCharacter(entry) {
     return character;
 }
 
+/**
+ * Format a lorebook character's fields into prompt identity text.
+ *
+ * Personality and background come first as prose, followed by the voice
+ * and a bulleted list of quirks. Empty fields are left out.
+ *
+ * @param {LorebookCharacter} character - Parsed lorebook character
+ * @returns {string} Identity text (empty if the entry has no fields)
+ */
+export function formatLorebookIdentity(character) {
+    const sections = [];
+
+    if (character.personality) {
+        sections.push(character.personality);
+    }
+    if (character.background) {
+        sections.push(`Background: ${character.background}`);
+    }
+    if (character.voice) {
+        sections.push(`Voice: ${character.voice}`);
+    }
+    if (character.quirks?.length > 0) {
+        sections.push(`Quirks:\n${character.quirks.map(quirk => `- ${quirk}`).join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+}
+
 /**
  * Get all ensemble characters from lorebook.
  *
@@ -966,14 +1576,16 @@ export async function getAllLorebookCharacters() {
  * Performs case-insensitive lookup against character names.
  *
  * @param {string} name - Character name to find
+ * @param {Map<string, LorebookCharacter>|null} [knownCharacters=null] - Characters from
+ *        getAllLorebookCharacters, to avoid reloading them when looking up many names
  * @returns {Promise<LorebookCharacter|null>} Character or null if not found
  */
-export async function findLorebookCharacter(name) {
+export async function findLorebookCharacter(name, knownCharacters = null) {
     if (!name || typeof name !== 'string') {
         return null;
     }
 
-    const characters = await getAllLorebookCharacters();
+    const characters = knownCharacters || await getAllLorebookCharacters();
     const lookupKey = name.toLowerCase().trim();
 
     // Direct lookup
@@ -0,0 +1,332 @@
+/**
+ * Cost and Token Accounting for SillyTavern-Ensemble
+ *
+ * Records the token usage of every generation request and prices it with a
+ * user-editable price table (USD per million tokens, keyed by profile name
+ * or model). Usage is rolled up:
+ * - per chat: by NPC, tier and profile, saved in the chat's metadata
+ * - per spawn: by correlation id, in memory for the most recent spawns
+ *
+ * A budget cap on the current chat's spend can block further requests or
+ * downgrade them to a cheaper tier once it is reached.
+ *
+ * @module cost-tracker
+ */
+
+import { logger } from './logger.js';
+import { estimateTokens } from './context.js';
+import { getCostSettings } from './settings.js';
+import { TIERS } from './router.js';
+
+/**
+ * Chat metadata key holding the chat's cost rollup.
+ * @type {string}
+ */
+const METADATA_KEY = 'ensemble_cost';
+
+/**
+ * Valid actions when the budget cap is reached.
+ * @type {readonly string[]}
+ */
+export const CAP_ACTIONS = Object.freeze(['block', 'downgrade']);
+
+/**
+ * Prices are quoted per this many tokens.
+ * @type {number}
+ */
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+/**
+ * How many spawns to keep per-spawn totals for.
+ * @type {number}
+ */
+const MAX_TRACKED_SPAWNS = 20;
+
+/**
+ * Per-spawn rollups by correlation id, oldest first.
+ * @type {Map<string, {startedAt: number, npcs: Set<string>, totals: Object}>}
+ */
+const spawnTotals = new Map();
+
+// ============================================================================
+// Usage extraction
+// ============================================================================
+
+/**
+ * Create an empty usage bucket.
+ * @returns {{requests: number, inputTokens: number, outputTokens: number, cost: number, estimated: number, unpriced: number}}
+ */
+function createBucket() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: 0, unpriced: 0 };
+}
+
+/**
+ * Read token usage from an API response.
+ * Handles OpenAI-style `usage`, Claude `input_tokens`/`output_tokens`,
+ * Gemini `usageMetadata` and text-completion `usage` blocks.
+ *
+ * @param {Object} result - API response
+ * @returns {{inputTokens: number, outputTokens: number}|null} Usage, or null if the response has none
+ */
+export function extractUsage(result) {
+    const usage = result?.usage;
+    if (usage && typeof usage === 'object') {
+        const inputTokens = Number(usage.prompt_tokens ?? usage.input_tokens ?? 0)
+            + Number(usage.cache_read_input_tokens ?? 0)
+            + Number(usage.cache_creation_input_tokens ?? 0);
+        const outputTokens = Number(usage.completion_tokens ?? usage.output_tokens ?? 0);
+        if (inputTokens > 0 || outputTokens > 0) {
+            return { inputTokens, outputTokens };
+        }
+    }
+
+    const gemini = result?.usageMetadata;
+    if (gemini && typeof gemini === 'object') {
+        return {
+            inputTokens: Number(gemini.promptTokenCount ?? 0),
+            outputTokens: Number(gemini.candidatesTokenCount ?? 0),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Look up the price for a profile, trying the profile name then the model.
+ * Names match case-insensitively.
+ *
+ * @param {string} profileName - Connection profile name
+ * @param {string} [model] - Model id
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if unpriced
+ */
+export function getPrice(profileName, model) {
+    const prices = getCostSettings().prices || {};
+    const byLowerName = new Map(Object.entries(prices).map(([name, price]) => [name.toLowerCase(), price]));
+
+    for (const key of [profileName, model]) {
+        const price = key ? byLowerName.get(String(key).toLowerCase()) : null;
+        if (price) {
+            return { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Add one request's usage to a bucket.
+ * @param {Object} bucket - Bucket (mutated)
+ * @param {Object} entry - Priced usage entry
+ */
+function addToBucket(bucket, entry) {
+    bucket.requests += 1;
+    bucket.inputTokens += entry.inputTokens;
+    bucket.outputTokens += entry.outputTokens;
+    bucket.cost += entry.cost;
+    bucket.estimated += entry.estimated ? 1 : 0;
+    bucket.unpriced += entry.priced ? 0 : 1;
+}
+
+/**
+ * Get the current chat's rollup, creating it in chat metadata if needed.
+ * @returns {Object|null} Rollup, or null when no chat metadata is available
+ */
+function getChatRollup() {
+    const metadata = SillyTavern.getContext().chatMetadata;
+    if (!metadata) {
+        return null;
+    }
+    if (!metadata[METADATA_KEY]) {
+        metadata[METADATA_KEY] = { total: createBucket(), byNpc: {}, byTier: {}, byProfile: {} };
+    }
+    return metadata[METADATA_KEY];
+}
+
+/**
+ * Persist chat metadata.
+ */
+function saveChatRollup() {
+    const context = SillyTavern.getContext();
+    if (typeof context.saveMetadataDebounced === 'function') {
+        context.saveMetadataDebounced();
+    } else {
+        context.saveMetadata?.();
+    }
+}
+
+/**
+ * Record the usage of one successful request.
+ *
+ * Uses the response's usage block when present; otherwise the tokens are
+ * estimated from the prompt and response text and the entry is marked as
+ * estimated.
+ *
+ * @param {Object} request - Request details
+ * @param {Object} request.result - API response (normalized)
+ * @param {Array<{role: string, content: string}>} request.messages - Prompt messages
+ * @param {string} request.responseText - Generated text
+ * @param {string} request.profileName - Profile that served the request
+ * @param {string} [request.model] - Model id
+ * @param {string} [request.tier] - Tier
+ * @param {string} [request.npc] - NPC name
+ * @param {string} [request.correlationId] - Spawn correlation id
+ * @returns {Object|null} The priced entry, or null when tracking is off
+ */
+export function recordUsage({ result, messages, responseText, profileName, model, tier, npc, correlationId }) {
+    if (!getCostSettings().enabled) {
+        return null;
+    }
+
+    let usage = extractUsage(result);
+    const estimated = !usage;
+    if (!usage) {
+        usage = {
+            inputTokens: estimateTokens((messages || []).map(m => m.content || '').join('\n')),
+            outputTokens: estimateTokens(responseText || ''),
+        };
+    }
+
+    const price = getPrice(profileName, model);
+    const cost = price
+        ? (usage.inputTokens * price.input + usage.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT
+        : 0;
+    const entry = { ...usage, cost, estimated, priced: !!price };
+
+    const rollup = getChatRollup();
+    if (rollup) {
+        addToBucket(rollup.total, entry);
+        for (const [group, key] of [['byNpc', npc], ['byTier', tier], ['byProfile', profileName]]) {
+            if (key) {
+                if (!rollup[group][key]) {
+                    rollup[group][key] = createBucket();
+                }
+                addToBucket(rollup[group][key], entry);
+            }
+        }
+        saveChatRollup();
+    }
+
+    if (correlationId) {
+        if (!spawnTotals.has(correlationId)) {
+            spawnTotals.set(correlationId, { startedAt: Date.now(), npcs: new Set(), totals: createBucket() });
+            // Forget the oldest spawn once over the limit
+            if (spawnTotals.size > MAX_TRACKED_SPAWNS) {
+                spawnTotals.delete(spawnTotals.keys().next().value);
+            }
+        }
+        const spawn = spawnTotals.get(correlationId);
+        if (npc) {
+            spawn.npcs.add(npc);
+        }
+        addToBucket(spawn.totals, entry);
+    }
+
+    logger.debug({
+        event: 'usage_recorded',
+        npc,
+        tier,
+        profile: profileName,
+        inputTokens: entry.inputTokens,
+        outputTokens: entry.outputTokens,
+        cost: entry.cost,
+        estimated,
+    }, correlationId);
+
+    return entry;
+}
+
+// ============================================================================
+// Budget cap
+// ============================================================================
+
+/**
+ * Get the current chat's total spend in USD.
+ * @returns {number} Spend
+ */
+export function getChatSpend() {
+    return SillyTavern.getContext().chatMetadata?.[METADATA_KEY]?.total?.cost || 0;
+}
+
+/**
+ * Apply the budget cap to a request for a tier.
+ *
+ * Below the cap (or with no cap) the tier is returned unchanged. Once the
+ * chat's spend reaches the cap, 'block' refuses the request and 'downgrade'
+ * moves it to the configured cheaper tier (tiers already at or below it are
+ * left alone).
+ *
+ * @param {string} tier - Requested tier
+ * @returns {{tier: string, blocked: boolean, downgraded: boolean, spent: number, cap: number}} Decision
+ */
+export function applyBudgetCap(tier) {
+    const { enabled, cap, capAction, downgradeTier } = getCostSettings();
+    const spent = getChatSpend();
+    const decision = { tier, blocked: false, downgraded: false, spent, cap };
+
+    if (!enabled || !(cap > 0) || spent < cap) {
+        return decision;
+    }
+
+    if (capAction === 'downgrade') {
+        // TIERS runs from most to least capable
+        if (TIERS.indexOf(tier) < TIERS.indexOf(downgradeTier)) {
+            decision.tier = downgradeTier;
+            decision.downgraded = true;
+        }
+        return decision;
+    }
+
+    decision.blocked = true;
+    return decision;
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+/**
+ * Get the current chat's rollup and the recent spawns.
+ *
+ * @returns {{chat: Object|null, spawns: Array<{correlationId: string, startedAt: number, npcs: string[], totals: Object}>}}
+ *          Chat rollup (null before any usage) and spawns, newest first
+ */
+export function getCostReport() {
+    const chat = SillyTavern.getContext().chatMetadata?.[METADATA_KEY] || null;
+    const spawns = [...spawnTotals.entries()]
+        .map(([correlationId, spawn]) => ({
+            correlationId,
+            startedAt: spawn.startedAt,
+            npcs: [...spawn.npcs],
+            totals: { ...spawn.totals },
+        }))
+        .reverse();
+    return { chat, spawns };
+}
+
+/**
+ * Clear the current chat's rollup and the per-spawn totals.
+ */
+export function resetCosts() {
+    const metadata = SillyTavern.getContext().chatMetadata;
+    if (metadata?.[METADATA_KEY]) {
+        delete metadata[METADATA_KEY];
+        saveChatRollup();
+    }
+    spawnTotals.clear();
+    logger.info({ event: 'costs_reset' });
+}
+
+/**
+ * Format a USD amount, keeping precision for sub-cent values.
+ * @param {number} amount - Amount in USD
+ * @returns {string} e.g. "$0.0123"
+ */
+export function formatCost(amount) {
+    if (amount > 0 && amount < 0.0001) {
+        return '<$0.0001';
+    }
+    return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+}
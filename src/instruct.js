@@ -0,0 +1,198 @@
+/**
+ * Text-completion prompt rendering for SillyTavern-Ensemble
+ *
+ * Text-completion backends (KoboldCpp, Oobabooga, llama.cpp, ...) take a
+ * single prompt string rather than a messages array. This module renders
+ * chat `messages` through a connection profile's instruct template and
+ * collects the stop strings that end the reply.
+ *
+ * @module instruct
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Text-completion API types, as stored in a connection profile's `api`
+ * field (SillyTavern's `textgen_types`; Oobabooga's text-generation-webui
+ * is `ooba`). Used to recognize text-completion profiles saved without a
+ * `mode`. APIs that exist in both chat and text flavors (openrouter,
+ * featherless) are only treated as text completion when `mode` says so.
+ * @type {readonly string[]}
+ */
+export const TEXT_COMPLETION_APIS = Object.freeze([
+    'ooba',
+    'koboldcpp',
+    'llamacpp',
+    'ollama',
+    'vllm',
+    'aphrodite',
+    'tabby',
+    'mancer',
+    'togetherai',
+    'infermaticai',
+    'dreamgen',
+    'huggingface',
+    'generic',
+]);
+
+/**
+ * ChatML instruct template, used when a profile names no template or the
+ * named one cannot be found.
+ * @type {Readonly<Object>}
+ */
+export const CHATML_TEMPLATE = Object.freeze({
+    name: 'ChatML',
+    system_sequence: '<|im_start|>system',
+    system_suffix: '<|im_end|>\n',
+    input_sequence: '<|im_start|>user',
+    input_suffix: '<|im_end|>\n',
+    output_sequence: '<|im_start|>assistant',
+    output_suffix: '<|im_end|>\n',
+    last_output_sequence: '',
+    stop_sequence: '<|im_end|>',
+    wrap: true,
+    system_same_as_user: false,
+});
+
+/**
+ * Check whether a connection profile targets a text-completion backend.
+ *
+ * @param {Object|null} profile - Connection profile
+ * @returns {boolean} True for text-completion profiles
+ */
+export function isTextCompletionProfile(profile) {
+    if (!profile) {
+        return false;
+    }
+    if (profile.mode) {
+        return profile.mode === 'tc';
+    }
+    return TEXT_COMPLETION_APIS.includes(profile.api);
+}
+
+/**
+ * Look up an instruct template by name from SillyTavern's preset manager.
+ *
+ * @param {string} name - Template name
+ * @returns {Object|null} Template, or null if unavailable
+ */
+function findInstructTemplate(name) {
+    const context = SillyTavern.getContext();
+
+    try {
+        const presets = context.getPresetManager?.('instruct')?.getPresetList?.()?.presets;
+        const match = Array.isArray(presets) ? presets.find(preset => preset?.name === name) : null;
+        if (match) {
+            return match;
+        }
+    } catch (error) {
+        logger.debug({ event: 'instruct_presets_unavailable', error: error.message });
+    }
+
+    // The active template is always reachable through power user settings
+    const active = context.powerUserSettings?.instruct;
+    if (active?.name === name) {
+        return active;
+    }
+
+    return null;
+}
+
+/**
+ * Get the instruct template for a profile, falling back to ChatML.
+ *
+ * @param {Object|null} profile - Connection profile
+ * @returns {Object} Instruct template
+ */
+export function getInstructTemplate(profile) {
+    const name = profile?.instruct;
+    if (name) {
+        const template = findInstructTemplate(name);
+        if (template) {
+            return template;
+        }
+        logger.warn({ event: 'instruct_template_missing', profile: profile.name, template: name });
+    }
+    return CHATML_TEMPLATE;
+}
+
+/**
+ * Wrap content in a sequence and suffix, honoring the template's `wrap` flag.
+ *
+ * @param {string} sequence - Prefix sequence
+ * @param {string} content - Message content
+ * @param {string} suffix - Suffix sequence
+ * @param {boolean} wrap - Put sequences on their own lines
+ * @returns {string} Formatted block
+ */
+function formatBlock(sequence, content, suffix, wrap) {
+    const separator = wrap ? '\n' : '';
+    const prefix = sequence ? `${sequence}${separator}` : '';
+    const end = suffix || separator;
+    return `${prefix}${content}${end}`;
+}
+
+/**
+ * Render chat messages as a single instruct-formatted prompt.
+ * The prompt ends with the assistant sequence so the model continues as
+ * the assistant.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} template - Instruct template
+ * @returns {string} Prompt string
+ */
+export function renderInstructPrompt(messages, template) {
+    const wrap = template.wrap !== false;
+    let prompt = '';
+
+    for (const message of messages) {
+        const content = message.content || '';
+
+        if (message.role === 'system') {
+            prompt += template.system_same_as_user || !template.system_sequence
+                ? formatBlock(template.input_sequence, content, template.input_suffix, wrap)
+                : formatBlock(template.system_sequence, content, template.system_suffix, wrap);
+        } else if (message.role === 'assistant') {
+            prompt += formatBlock(template.output_sequence, content, template.output_suffix, wrap);
+        } else {
+            prompt += formatBlock(template.input_sequence, content, template.input_suffix, wrap);
+        }
+    }
+
+    const replySequence = template.last_output_sequence || template.output_sequence || '';
+    prompt += replySequence ? `${replySequence}${wrap ? '\n' : ''}` : '';
+
+    return prompt;
+}
+
+/**
+ * Collect stop strings for a text-completion request: the template's stop
+ * sequence, the start of the next user/system turn, and the profile's own
+ * custom stop strings.
+ *
+ * @param {Object} template - Instruct template
+ * @param {Object|null} profile - Connection profile
+ * @returns {string[]} Unique, non-empty stop strings
+ */
+export function getStopStrings(template, profile) {
+    const stops = [
+        template.stop_sequence,
+        template.input_sequence,
+        template.system_same_as_user ? '' : template.system_sequence,
+    ];
+
+    const custom = profile?.['stop-strings'];
+    if (custom) {
+        try {
+            const parsed = typeof custom === 'string' ? JSON.parse(custom) : custom;
+            if (Array.isArray(parsed)) {
+                stops.push(...parsed);
+            }
+        } catch {
+            logger.debug({ event: 'stop_strings_unparseable', profile: profile.name });
+        }
+    }
+
+    // Not trimmed: leading newlines are often what makes a stop string safe
+    return [...new Set(stops.filter(stop => typeof stop === 'string' && stop.trim().length > 0))];
+}
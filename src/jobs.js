@@ -0,0 +1,233 @@
+/**
+ * Spawn Job Registry for SillyTavern-Ensemble
+ *
+ * Every spawn (or conversation) runs as a tracked job with its own
+ * AbortController, and every NPC request inside it gets a child controller.
+ * This lets the user stop one job or one NPC without touching the rest.
+ *
+ * What happens when a spawn starts while another is in flight is set by
+ * the `spawnPolicy` setting:
+ * - queue: wait until earlier queued jobs finish (default)
+ * - concurrent: run alongside them
+ * - replace: abort everything in flight, then run
+ *
+ * @module jobs
+ */
+
+import { logger } from './logger.js';
+import { getSettings } from './settings.js';
+
+/**
+ * Valid spawn policies.
+ * @type {readonly string[]}
+ */
+export const SPAWN_POLICIES = Object.freeze(['queue', 'concurrent', 'replace']);
+
+/**
+ * Jobs that are queued or running, by id.
+ * @type {Map<number, Object>}
+ */
+const jobs = new Map();
+
+/**
+ * Next job id.
+ * @type {number}
+ */
+let nextJobId = 1;
+
+/**
+ * Promise that settles when the last queued job finishes.
+ * @type {Promise<void>}
+ */
+let queueTail = Promise.resolve();
+
+/**
+ * Get the configured spawn policy.
+ * @returns {string} One of SPAWN_POLICIES
+ */
+export function getSpawnPolicy() {
+    const policy = getSettings().spawnPolicy;
+    return SPAWN_POLICIES.includes(policy) ? policy : 'queue';
+}
+
+/**
+ * Resolve when the signal aborts.
+ * @param {AbortSignal} signal - Signal to watch
+ * @returns {Promise<void>}
+ */
+function whenAborted(signal) {
+    return new Promise(resolve => {
+        if (signal.aborted) {
+            resolve();
+        } else {
+            signal.addEventListener('abort', () => resolve(), { once: true });
+        }
+    });
+}
+
+/**
+ * Run a task as a tracked job under the current spawn policy.
+ *
+ * The task receives the job; it should use `job.controller.signal` and
+ * register per-NPC controllers with registerNpcController(). A job aborted
+ * while still queued runs its task with an already-aborted signal, so the
+ * task's normal abort handling produces the result.
+ *
+ * @param {Object} info - Job description
+ * @param {string} info.kind - 'spawn' or 'conversation'
+ * @param {string[]} info.npcs - NPC names taking part
+ * @param {string} info.correlationId - Correlation ID for logging
+ * @param {Function} task - async (job) => result
+ * @returns {Promise<*>} The task's result
+ */
+export async function runJob({ kind, npcs, correlationId }, task) {
+    const policy = getSpawnPolicy();
+    const job = {
+        id: nextJobId++,
+        kind,
+        npcs: [...npcs],
+        correlationId,
+        policy,
+        status: 'queued',
+        controller: new AbortController(),
+        npcControllers: new Map(),
+        createdAt: Date.now(),
+        startedAt: null,
+    };
+    jobs.set(job.id, job);
+
+    if (policy === 'replace') {
+        for (const other of jobs.values()) {
+            if (other !== job) {
+                other.controller.abort();
+                logger.info({ event: 'previous_spawn_aborted', jobId: other.id }, correlationId);
+            }
+        }
+    }
+
+    let release = () => {};
+    if (policy === 'queue') {
+        const previous = queueTail;
+        const finished = new Promise(resolve => { release = resolve; });
+        queueTail = previous.then(() => finished);
+
+        if (jobs.size > 1) {
+            logger.info({ event: 'spawn_queued', jobId: job.id, waitingOn: jobs.size - 1 }, correlationId);
+        }
+        await Promise.race([previous, whenAborted(job.controller.signal)]);
+    }
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+    logger.debug({ event: 'job_started', jobId: job.id, kind, policy }, correlationId);
+
+    try {
+        return await task(job);
+    } finally {
+        job.status = job.controller.signal.aborted ? 'aborted' : 'done';
+        jobs.delete(job.id);
+        release();
+        logger.debug({
+            event: 'job_finished',
+            jobId: job.id,
+            status: job.status,
+            duration: Date.now() - job.startedAt,
+        }, correlationId);
+    }
+}
+
+/**
+ * Track an NPC request's controller on its job so it can be stopped by name.
+ *
+ * @param {Object|null} job - Owning job
+ * @param {string} npcName - NPC name
+ * @param {AbortController} controller - The request's controller
+ */
+export function registerNpcController(job, npcName, controller) {
+    job?.npcControllers.set(controller, npcName);
+}
+
+/**
+ * Stop tracking an NPC request's controller.
+ *
+ * @param {Object|null} job - Owning job
+ * @param {AbortController} controller - The request's controller
+ */
+export function unregisterNpcController(job, controller) {
+    job?.npcControllers.delete(controller);
+}
+
+/**
+ * List jobs that are queued or running.
+ *
+ * @returns {Array<{id: number, kind: string, status: string, npcs: string[], activeNpcs: string[], age: number}>}
+ */
+export function getActiveJobs() {
+    const now = Date.now();
+    return [...jobs.values()].map(job => ({
+        id: job.id,
+        kind: job.kind,
+        status: job.status,
+        npcs: job.npcs,
+        activeNpcs: [...job.npcControllers.values()],
+        age: now - job.createdAt,
+    }));
+}
+
+/**
+ * Abort every queued and running job.
+ *
+ * @returns {number} Number of jobs aborted
+ */
+export function stopAllJobs() {
+    let count = 0;
+    for (const job of jobs.values()) {
+        if (!job.controller.signal.aborted) {
+            job.controller.abort();
+            count++;
+        }
+    }
+    if (count > 0) {
+        logger.info({ event: 'spawn_aborted_by_user', jobs: count });
+    }
+    return count;
+}
+
+/**
+ * Stop a job by id, or the in-flight requests of an NPC by name.
+ *
+ * A numeric target (optionally written `#3`) is treated as a job id first;
+ * anything else matches NPC names case-insensitively across all jobs.
+ *
+ * @param {string} target - Job id or NPC name
+ * @returns {{jobs: number[], npcs: string[]}} What was stopped
+ */
+export function stopJobOrNpc(target) {
+    const stopped = { jobs: [], npcs: [] };
+    const trimmed = String(target || '').trim();
+    if (!trimmed) {
+        return stopped;
+    }
+
+    const idMatch = trimmed.match(/^#?(\d+)$/);
+    if (idMatch && jobs.has(Number(idMatch[1]))) {
+        const job = jobs.get(Number(idMatch[1]));
+        job.controller.abort();
+        stopped.jobs.push(job.id);
+        logger.info({ event: 'job_stopped', jobId: job.id }, job.correlationId);
+        return stopped;
+    }
+
+    const name = trimmed.toLowerCase();
+    for (const job of jobs.values()) {
+        for (const [controller, npcName] of job.npcControllers) {
+            if (npcName.toLowerCase() === name) {
+                controller.abort();
+                stopped.npcs.push(npcName);
+                logger.info({ event: 'npc_stopped', jobId: job.id, npc: npcName }, job.correlationId);
+            }
+        }
+    }
+
+    return stopped;
+}
@@ -0,0 +1,275 @@
+/**
+ * Knowledge Grants for SillyTavern-Ensemble
+ *
+ * Lets NPCs learn what they are told in the story. A grant gives one NPC a
+ * piece of knowledge for the current chat and records where it came from:
+ * who told them, when, and at which chat message. Grants are kept in the
+ * chat's metadata, so they follow the chat and never touch the shared
+ * lorebook.
+ *
+ * At context build time each grant becomes a constant lorebook-style entry
+ * with a character filter naming its NPC, so it goes through the same
+ * knowledge hardening, typing and token budgeting as authored entries.
+ *
+ * @module knowledge-grants
+ */
+
+import { logger } from './logger.js';
+import { normalizeKnowledgeType, parseKnowledgeTypePrefix } from './context.js';
+import { resolveName } from './name-resolver.js';
+
+/**
+ * Chat metadata key holding the chat's grants.
+ * @type {string}
+ */
+const METADATA_KEY = 'ensemble_knowledge_grants';
+
+/**
+ * Entry order given to grants (ST's default), used when the token budget
+ * trims knowledge.
+ * @type {number}
+ */
+const GRANT_ORDER = 100;
+
+/**
+ * Longest knowledge text kept per grant.
+ * @type {number}
+ */
+const MAX_GRANT_LENGTH = 2000;
+
+/**
+ * @typedef {Object} KnowledgeGrant
+ * @property {number} id - Grant id, unique within the chat
+ * @property {string} npc - Canonical name of the NPC who learned it
+ * @property {string} content - What they learned
+ * @property {string} type - Knowledge type (see KNOWLEDGE_TYPES)
+ * @property {string|null} from - Who told them, or null if unrecorded
+ * @property {number|null} messageId - Chat message the grant came from
+ * @property {number} grantedAt - Timestamp of the grant
+ */
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Get the current chat's grant store, creating it in chat metadata if needed.
+ *
+ * @returns {{nextId: number, grants: KnowledgeGrant[]}|null} Store, or null when no chat metadata is available
+ */
+function getGrantStore() {
+    const metadata = SillyTavern.getContext().chatMetadata;
+    if (!metadata) {
+        return null;
+    }
+    if (!metadata[METADATA_KEY]) {
+        metadata[METADATA_KEY] = { nextId: 1, grants: [] };
+    }
+    return metadata[METADATA_KEY];
+}
+
+/**
+ * Persist chat metadata.
+ */
+function saveGrantStore() {
+    const context = SillyTavern.getContext();
+    if (typeof context.saveMetadataDebounced === 'function') {
+        context.saveMetadataDebounced();
+    } else {
+        context.saveMetadata?.();
+    }
+}
+
+/**
+ * Get the canonical name for an NPC, falling back to the name as given for
+ * characters Ensemble hasn't met yet.
+ *
+ * @param {string} name - Name, alias or close spelling
+ * @returns {Promise<string>} Canonical name
+ */
+async function getCanonicalName(name) {
+    const { match, ambiguous } = await resolveName(name);
+    if (ambiguous.length > 0) {
+        throw new Error(`"${name}" could refer to ${ambiguous.map(candidate => candidate.name).join(', ')}.`);
+    }
+    return match?.name || name.trim();
+}
+
+// ============================================================================
+// Grants
+// ============================================================================
+
+/**
+ * Get the current chat's grants.
+ *
+ * @param {string} [npc] - Only grants for this NPC (canonical name, case-insensitive)
+ * @returns {KnowledgeGrant[]} Grants, oldest first
+ */
+export function getGrants(npc) {
+    const grants = SillyTavern.getContext().chatMetadata?.[METADATA_KEY]?.grants || [];
+    if (!npc) {
+        return [...grants];
+    }
+    const key = npc.trim().toLowerCase();
+    return grants.filter(grant => grant.npc.toLowerCase() === key);
+}
+
+/**
+ * Grant knowledge to one or more NPCs.
+ *
+ * The text may start with a knowledge type prefix (`[Rumor] ...`), which
+ * is used when no type is given. An NPC that already holds the same text
+ * keeps its existing grant.
+ *
+ * @param {Object} params - Grant parameters
+ * @param {string[]} params.npcs - NPC names (aliases and close spellings resolve)
+ * @param {string} params.content - What they learn
+ * @param {string} [params.type] - Knowledge type; defaults to the prefix, else fact
+ * @param {string|null} [params.from=null] - Who told them
+ * @param {number|null} [params.messageId] - Source message; defaults to the latest chat message
+ * @returns {Promise<{success: boolean, grants?: KnowledgeGrant[], error?: string}>} Created or existing grants
+ */
+export async function grantKnowledge({ npcs, content, type, from = null, messageId }) {
+    const store = getGrantStore();
+    if (!store) {
+        return { success: false, error: 'No chat is open.' };
+    }
+
+    const parsed = parseKnowledgeTypePrefix(content);
+    const text = parsed.text.slice(0, MAX_GRANT_LENGTH);
+    if (!text) {
+        return { success: false, error: 'Nothing to teach: the knowledge text is empty.' };
+    }
+
+    const grantType = type ? normalizeKnowledgeType(type) : (parsed.type || 'fact');
+    if (!grantType) {
+        return { success: false, error: `Unknown knowledge type "${type}".` };
+    }
+
+    const names = (Array.isArray(npcs) ? npcs : [npcs])
+        .filter(name => typeof name === 'string' && name.trim());
+    if (names.length === 0) {
+        return { success: false, error: 'No NPC to teach.' };
+    }
+
+    let canonicalNames;
+    let source;
+    try {
+        canonicalNames = await Promise.all(names.map(getCanonicalName));
+        source = typeof from === 'string' && from.trim() ? await getCanonicalName(from) : null;
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    const chat = SillyTavern.getContext().chat || [];
+    const sourceMessage = Number.isInteger(messageId) ? messageId : (chat.length > 0 ? chat.length - 1 : null);
+
+    const grants = [];
+    for (const npc of new Set(canonicalNames)) {
+        const existing = store.grants.find(grant =>
+            grant.npc.toLowerCase() === npc.toLowerCase() && grant.content === text);
+        if (existing) {
+            grants.push(existing);
+            continue;
+        }
+
+        /** @type {KnowledgeGrant} */
+        const grant = {
+            id: store.nextId++,
+            npc,
+            content: text,
+            type: grantType,
+            from: source,
+            messageId: sourceMessage,
+            grantedAt: Date.now(),
+        };
+        store.grants.push(grant);
+        grants.push(grant);
+    }
+
+    saveGrantStore();
+
+    logger.info({
+        event: 'knowledge_granted',
+        npcs: grants.map(grant => grant.npc),
+        type: grantType,
+        from: source,
+        messageId: sourceMessage,
+    });
+
+    return { success: true, grants };
+}
+
+/**
+ * Revoke grants by id, or every grant an NPC holds.
+ *
+ * @param {Object} target - What to revoke
+ * @param {number} [target.id] - Grant id
+ * @param {string} [target.npc] - NPC name; revokes all of the NPC's grants
+ * @returns {Promise<KnowledgeGrant[]>} Revoked grants (empty if none matched)
+ */
+export async function revokeGrants({ id, npc } = {}) {
+    const store = getGrantStore();
+    if (!store) {
+        return [];
+    }
+
+    let matches;
+    if (Number.isInteger(id)) {
+        matches = grant => grant.id === id;
+    } else if (npc) {
+        const key = (await getCanonicalName(npc)).toLowerCase();
+        matches = grant => grant.npc.toLowerCase() === key;
+    } else {
+        return [];
+    }
+
+    const revoked = store.grants.filter(matches);
+    if (revoked.length > 0) {
+        store.grants = store.grants.filter(grant => !matches(grant));
+        saveGrantStore();
+
+        logger.info({
+            event: 'knowledge_revoked',
+            ids: revoked.map(grant => grant.id),
+        });
+    }
+
+    return revoked;
+}
+
+// ============================================================================
+// Context integration
+// ============================================================================
+
+/**
+ * Convert a grant to a lorebook-style entry for context building.
+ *
+ * The entry is constant (always active for its NPC) and filtered to that
+ * NPC by name. Its text says who passed it on, so the NPC can attribute it.
+ *
+ * @param {KnowledgeGrant} grant - Grant
+ * @returns {Object} Lorebook-style entry
+ */
+export function grantToEntry(grant) {
+    return {
+        uid: `grant:${grant.id}`,
+        key: [],
+        comment: grant.from ? `Told by ${grant.from}` : 'Learned in play',
+        content: grant.from ? `${grant.content}\n(${grant.from} told you this.)` : grant.content,
+        constant: true,
+        order: GRANT_ORDER,
+        characterFilter: { names: [grant.npc], tags: [], isExclude: false },
+        knowledgeType: grant.type,
+        grant: grant,
+    };
+}
+
+/**
+ * Get the current chat's grants as lorebook-style entries.
+ *
+ * @returns {Array<Object>} Entries, one per grant
+ */
+export function getGrantEntries() {
+    return getGrants().map(grantToEntry);
+}
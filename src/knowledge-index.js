@@ -0,0 +1,333 @@
+/**
+ * Knowledge Relevance Index for SillyTavern-Ensemble
+ *
+ * Ranks the lorebook entries an NPC can see against a query with Okapi
+ * BM25, locally and without dependencies:
+ * - Text is lowercased, split into words, stripped of stopwords and
+ *   stemmed with a light suffix stripper ("suits" and "suited" both match "suit")
+ * - Entry keys and comments act as synonyms: a query word that is one of an
+ *   entry's keys also searches for that entry's other keys, at reduced
+ *   weight. An entry keyed `symbiote, black suit, alien` lets "symbiote"
+ *   find entries that only mention "the alien".
+ *
+ * One index is built per NPC over the entries it can see and cached until
+ * world info changes (WORLDINFO_UPDATED), the chat changes, or the visible
+ * entries differ from the ones it was built from.
+ *
+ * @module knowledge-index
+ */
+
+import { logger } from './logger.js';
+import { parseKnowledgeTypePrefix } from './context.js';
+
+/**
+ * BM25 term frequency saturation.
+ * @type {number}
+ */
+const BM25_K1 = 1.2;
+
+/**
+ * BM25 document length normalization.
+ * @type {number}
+ */
+const BM25_B = 0.75;
+
+/**
+ * Query weight of a synonym relative to the word the GM typed.
+ * @type {number}
+ */
+const SYNONYM_WEIGHT = 0.5;
+
+/**
+ * Most NPC indexes kept; the least recently built is dropped first.
+ * @type {number}
+ */
+const MAX_CACHED_INDEXES = 50;
+
+/**
+ * Words ignored when indexing and querying.
+ * @type {Set<string>}
+ */
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he',
+    'her', 'his', 'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their',
+    'them', 'they', 'this', 'to', 'was', 'were', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Cached indexes by NPC key.
+ * @type {Map<string, {signature: string, index: Object}>}
+ */
+const indexCache = new Map();
+
+// ============================================================================
+// Text processing
+// ============================================================================
+
+/**
+ * Reduce a word to a rough stem by stripping common English suffixes.
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    if (word.length <= 3) {
+        return word;
+    }
+
+    let result = word;
+    if (result.endsWith('ies') && result.length > 4) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (result.endsWith('sses')) {
+        result = result.slice(0, -2);
+    } else if (/(ch|sh|x|z)es$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) {
+        result = result.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'ed', 'ly']) {
+        if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+            result = result.slice(0, -suffix.length);
+            // "running" -> "runn" -> "run"
+            if (/([^aeiouls])\1$/.test(result)) {
+                result = result.slice(0, -1);
+            }
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Split text into stemmed index terms.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms, in order, stopwords removed
+ */
+export function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+/**
+ * Get an entry's identity, stable across reloads of the same lorebook.
+ *
+ * @param {Object} entry - Lorebook entry or knowledge item
+ * @returns {string} Entry id (world name and uid)
+ */
+function getEntryId(entry) {
+    return `${entry.world || ''}:${entry.uid}`;
+}
+
+/**
+ * Get an entry's synonym phrases: its plain keys and its comment.
+ *
+ * @param {Object} entry - Lorebook entry or knowledge item
+ * @returns {string[]} Phrases (regex keys are skipped)
+ */
+function getSynonymPhrases(entry) {
+    const keys = Array.isArray(entry.key) ? entry.key : [entry.key];
+    const phrases = keys.filter(key => typeof key === 'string' && key && !/^\/.+\/[a-z]*$/.test(key));
+    const comment = parseKnowledgeTypePrefix(entry.comment).text;
+    if (comment) {
+        phrases.push(comment);
+    }
+    return phrases;
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+/**
+ * Build a BM25 index over knowledge entries.
+ *
+ * Each document is the entry's content plus its keys and comment.
+ *
+ * @param {Array<Object>} entries - Entries or knowledge items to index
+ * @returns {{search: function(string): Map<string, number>, size: number}}
+ *          Index; search returns scores by entry id for entries that match
+ */
+export function createKnowledgeIndex(entries) {
+    const documents = [];
+    const documentFrequency = new Map();
+    const synonyms = new Map();
+
+    for (const entry of entries) {
+        const phrases = getSynonymPhrases(entry);
+        const terms = tokenize([entry.content || '', ...phrases].join('\n'));
+
+        const frequencies = new Map();
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        for (const term of frequencies.keys()) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+        documents.push({ id: getEntryId(entry), frequencies, length: terms.length });
+
+        // Every key term of an entry is a synonym of its other key terms
+        const keyTerms = new Set(phrases.flatMap(tokenize));
+        for (const term of keyTerms) {
+            if (!synonyms.has(term)) {
+                synonyms.set(term, new Set());
+            }
+            for (const other of keyTerms) {
+                if (other !== term) synonyms.get(term).add(other);
+            }
+        }
+    }
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+    /**
+     * Inverse document frequency of a term.
+     * @param {string} term - Index term
+     * @returns {number} BM25 idf
+     */
+    const idf = term => {
+        const df = documentFrequency.get(term) || 0;
+        return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+    };
+
+    /**
+     * Expand a query into weighted terms: typed words at full weight, their
+     * key synonyms at SYNONYM_WEIGHT.
+     * @param {string} query - Query text
+     * @returns {Map<string, number>} Weight by term
+     */
+    const expandQuery = query => {
+        const weights = new Map();
+        for (const term of tokenize(query)) {
+            weights.set(term, 1);
+        }
+        for (const term of [...weights.keys()]) {
+            for (const synonym of synonyms.get(term) || []) {
+                if (!weights.has(synonym)) weights.set(synonym, SYNONYM_WEIGHT);
+            }
+        }
+        return weights;
+    };
+
+    return {
+        size: documents.length,
+        search(query) {
+            const scores = new Map();
+            const weights = expandQuery(query);
+
+            for (const doc of documents) {
+                let score = 0;
+                for (const [term, weight] of weights) {
+                    const tf = doc.frequencies.get(term);
+                    if (!tf) continue;
+                    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1));
+                    score += weight * idf(term) * (tf * (BM25_K1 + 1)) / norm;
+                }
+                if (score > 0) {
+                    scores.set(doc.id, score);
+                }
+            }
+            return scores;
+        },
+    };
+}
+
+/**
+ * Get the cached index for an NPC, rebuilding it when the entries it can
+ * see have changed.
+ *
+ * @param {string} npcKey - Identifies the NPC (filename, name and tags)
+ * @param {Array<Object>} entries - Entries the NPC can see
+ * @returns {Object} Index from createKnowledgeIndex
+ */
+export function getKnowledgeIndex(npcKey, entries) {
+    const signature = entries
+        .map(entry => `${getEntryId(entry)}#${(entry.content || '').length}`)
+        .join(',');
+
+    const cached = indexCache.get(npcKey);
+    if (cached?.signature === signature) {
+        return cached.index;
+    }
+
+    const index = createKnowledgeIndex(entries);
+    indexCache.delete(npcKey);
+    indexCache.set(npcKey, { signature, index });
+    if (indexCache.size > MAX_CACHED_INDEXES) {
+        indexCache.delete(indexCache.keys().next().value);
+    }
+
+    logger.debug({
+        event: 'knowledge_index_built',
+        npc: npcKey,
+        entries: index.size,
+    });
+
+    return index;
+}
+
+/**
+ * Drop every cached index. Called when world info or the chat changes.
+ */
+export function invalidateKnowledgeIndex() {
+    if (indexCache.size === 0) {
+        return;
+    }
+    logger.debug({ event: 'knowledge_index_invalidated', indexes: indexCache.size });
+    indexCache.clear();
+}
+
+// ============================================================================
+// Ranking
+// ============================================================================
+
+/**
+ * Rank an NPC's entries against a query.
+ *
+ * @param {string} npcKey - Identifies the NPC (see getKnowledgeIndex)
+ * @param {Array<Object>} entries - Entries the NPC can see
+ * @param {string} query - Query text
+ * @returns {Array<{entry: Object, score: number}>} Matching entries, best first
+ */
+export function rankKnowledge(npcKey, entries, query) {
+    const scores = getKnowledgeIndex(npcKey, entries).search(query);
+    return entries
+        .filter(entry => scores.has(getEntryId(entry)))
+        .map(entry => ({ entry, score: scores.get(getEntryId(entry)) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keep the `topK` entries most relevant to the scan text.
+ *
+ * Constant entries are always kept and don't count toward `topK`. The rest
+ * are ranked against the scan text using the NPC's index; ties (including
+ * entries that don't match at all) keep their original order.
+ *
+ * @param {string} npcKey - Identifies the NPC (see getKnowledgeIndex)
+ * @param {Array<Object>} visibleEntries - Every entry the NPC can see (the indexed set)
+ * @param {Array<Object>} candidates - Entries to choose from, in prompt order
+ * @param {string} scanText - Situation and recent chat
+ * @param {number} topK - Non-constant entries to keep
+ * @returns {Array<Object>} Selected entries, in their original order
+ */
+export function selectTopEntries(npcKey, visibleEntries, candidates, scanText, topK) {
+    const ranked = candidates.filter(entry => !entry.constant);
+    if (ranked.length <= topK) {
+        return candidates;
+    }
+
+    const scores = getKnowledgeIndex(npcKey, visibleEntries).search(scanText);
+    const kept = new Set(ranked
+        .map((entry, position) => ({ entry, position, score: scores.get(getEntryId(entry)) || 0 }))
+        .sort((a, b) => (b.score - a.score) || (a.position - b.position))
+        .slice(0, topK)
+        .map(({ entry }) => entry));
+
+    return candidates.filter(entry => entry.constant || kept.has(entry));
+}
@@ -0,0 +1,462 @@
+/**
+ * Knowledge Inspector UI for checking knowledge hardening
+ *
+ * Provides a drawer panel, alongside the Tier Debugger, that shows:
+ * - A grid of lorebook entries (and knowledge grants) by present NPCs, with
+ *   each cell visible, hidden or excluded and the filter rule that decided it
+ * - Flags for entries no known character can see, and for entries with no
+ *   character filter that every NPC sees
+ * - A search box over entry names, keys and content
+ * - A prompt simulator that builds the exact prompt an NPC would get
+ *
+ * Nothing here creates characters: NPCs Ensemble hasn't met yet are shown
+ * as they would be filtered on their first spawn.
+ *
+ * @module knowledge-inspector
+ */
+
+import { logger } from './logger.js';
+import {
+    getAllLorebookEntries,
+    getSceneState,
+    getEntryVisibility,
+    getKnowledgeType,
+    getCharacterFilename,
+    getCharacterTags,
+    findLorebookCharacter,
+    getAllLorebookCharacters,
+    parseNameList,
+    buildNPCContext,
+    buildLorebookNPCContext,
+    buildVirtualNPCContext,
+    buildNPCMessages,
+} from './context.js';
+import { isSystemEntry } from './activation.js';
+import { getGrantEntries } from './knowledge-grants.js';
+import { getNameCandidates, resolveName } from './name-resolver.js';
+import { getSessionCharacter } from './character-resolver.js';
+import { getSceneCharacters } from './orchestrator.js';
+
+/**
+ * Cell state for each visibility reason from getEntryVisibility.
+ * @type {Object.<string, {state: string, label: string}>}
+ */
+const VISIBILITY_REASONS = Object.freeze({
+    common: { state: 'visible', label: 'no filter' },
+    name: { state: 'visible', label: 'name filter' },
+    tag: { state: 'visible', label: 'tag filter' },
+    not_excluded: { state: 'visible', label: 'not excluded' },
+    not_listed: { state: 'hidden', label: 'not in filter' },
+    exclude_name: { state: 'excluded', label: 'excluded by name' },
+    exclude_tag: { state: 'excluded', label: 'excluded by tag' },
+});
+
+/**
+ * Cell symbol for each state.
+ * @type {Object.<string, string>}
+ */
+const STATE_SYMBOLS = Object.freeze({
+    visible: '✓',
+    hidden: '–',
+    excluded: '✗',
+});
+
+/**
+ * @typedef {Object} InspectedNPC
+ * @property {string} name - Display name
+ * @property {'card'|'lorebook'|'session'|'unknown'} source - Where the NPC is defined
+ * @property {string|null} filename - Card filename or lorebook entry key
+ * @property {string[]} tags - Card tags or factions
+ * @property {number|null} characterId - Character index for cards
+ * @property {Object|null} lorebookCharacter - Parsed lorebook definition
+ */
+
+// ============================================================================
+// Data
+// ============================================================================
+
+/**
+ * @typedef {Object} KnownCharacters
+ * @property {Array<Object>} candidates - Name candidates from getNameCandidates
+ * @property {Map<string, Object>} lorebookCharacters - Characters from getAllLorebookCharacters
+ */
+
+/**
+ * Load every known character once, for describing many NPCs.
+ *
+ * @returns {Promise<KnownCharacters>} Known characters
+ */
+async function loadKnownCharacters() {
+    const [candidates, lorebookCharacters] = await Promise.all([
+        getNameCandidates(),
+        getAllLorebookCharacters(),
+    ]);
+    return { candidates, lorebookCharacters };
+}
+
+/**
+ * Describe an NPC the way context building will see it.
+ *
+ * @param {string} name - Name, alias or scene id
+ * @param {KnownCharacters} known - Known characters from loadKnownCharacters
+ * @returns {Promise<InspectedNPC>} NPC description
+ */
+async function describeNPC(name, known) {
+    const { match } = await resolveName(name, known.candidates);
+    const canonicalName = match?.name || name;
+
+    if (match?.source === 'card') {
+        return {
+            name: match.name,
+            source: 'card',
+            filename: getCharacterFilename(match.characterId),
+            tags: getCharacterTags(match.characterId),
+            characterId: match.characterId,
+            lorebookCharacter: null,
+        };
+    }
+
+    const session = getSessionCharacter(canonicalName);
+    const lorebookCharacter = await findLorebookCharacter(canonicalName, known.lorebookCharacters);
+    if (lorebookCharacter) {
+        return {
+            name: lorebookCharacter.name,
+            source: 'lorebook',
+            filename: lorebookCharacter._entryKey,
+            tags: parseNameList([...lorebookCharacter.factions, ...(getSessionCharacter(lorebookCharacter.name)?.factions || [])]),
+            characterId: null,
+            lorebookCharacter,
+        };
+    }
+
+    return {
+        name: session?.name || canonicalName,
+        source: session ? 'session' : 'unknown',
+        filename: null,
+        tags: session?.factions || [],
+        characterId: null,
+        lorebookCharacter: null,
+    };
+}
+
+/**
+ * Get the NPCs shown as grid columns: scene characters and the scene
+ * state's present NPCs, or every known character when the scene is empty.
+ *
+ * @param {Array<Object>} entries - All lorebook entries (for scene state)
+ * @param {KnownCharacters} known - Known characters from loadKnownCharacters
+ * @returns {Promise<InspectedNPC[]>} NPCs, deduplicated by name
+ */
+async function getInspectedNPCs(entries, known) {
+    const sceneState = getSceneState(entries);
+    let names = [...getSceneCharacters(), ...(sceneState.present_npcs || [])];
+    if (names.length === 0) {
+        names = known.candidates.map(candidate => candidate.name);
+    }
+
+    const npcs = new Map();
+    for (const name of names) {
+        if (typeof name !== 'string' || !name.trim()) continue;
+        // Scene ids such as `harley_quinn` stand for "Harley Quinn"
+        let npc = await describeNPC(name, known);
+        if (npc.source === 'unknown' && name.includes('_')) {
+            const spaced = await describeNPC(name.replace(/_/g, ' '), known);
+            if (spaced.source !== 'unknown') npc = spaced;
+        }
+        if (!npcs.has(npc.name.toLowerCase())) {
+            npcs.set(npc.name.toLowerCase(), npc);
+        }
+    }
+    return [...npcs.values()];
+}
+
+/**
+ * Get a display label for an entry.
+ *
+ * @param {Object} entry - Lorebook entry
+ * @returns {string} Comment, first key, or uid
+ */
+function getEntryLabel(entry) {
+    const keys = Array.isArray(entry.key) ? entry.key : [entry.key];
+    return entry.comment || keys.find(key => typeof key === 'string' && key) || `Entry ${entry.uid}`;
+}
+
+/**
+ * Build the visibility matrix of knowledge entries by NPC.
+ *
+ * Each row is flagged `everyone` when it has no character filter, and
+ * `nobody` when neither a scene NPC nor any known character (card,
+ * lorebook or session) can see it.
+ *
+ * @returns {Promise<{npcs: InspectedNPC[], rows: Array<Object>}>} Matrix
+ */
+export async function getKnowledgeMatrix() {
+    const lorebookEntries = await getAllLorebookEntries();
+    const entries = [...lorebookEntries, ...getGrantEntries()].filter(entry => !isSystemEntry(entry));
+    const knownCharacters = await loadKnownCharacters();
+    const npcs = await getInspectedNPCs(lorebookEntries, knownCharacters);
+    const known = [
+        ...npcs,
+        ...await Promise.all(knownCharacters.candidates.map(candidate => describeNPC(candidate.name, knownCharacters))),
+    ];
+
+    const rows = entries.map(entry => {
+        const cells = npcs.map(npc => {
+            const { reason } = getEntryVisibility(entry, npc.filename, npc.name, npc.tags);
+            const { state, label } = VISIBILITY_REASONS[reason];
+            return {
+                state,
+                reason,
+                label: state === 'visible' && entry.constant ? `${label}, constant` : label,
+            };
+        });
+
+        const flags = [];
+        if (getEntryVisibility(entry, null).reason === 'common') {
+            flags.push('everyone');
+        } else if (!known.some(npc => getEntryVisibility(entry, npc.filename, npc.name, npc.tags).visible)) {
+            flags.push('nobody');
+        }
+
+        return {
+            uid: entry.uid,
+            label: getEntryLabel(entry),
+            keys: (Array.isArray(entry.key) ? entry.key : [entry.key]).filter(Boolean),
+            content: entry.content || '',
+            type: getKnowledgeType(entry),
+            constant: !!entry.constant,
+            grant: !!entry.grant,
+            flags,
+            cells,
+        };
+    });
+
+    return { npcs, rows };
+}
+
+/**
+ * Build the prompt an NPC would get, before token budget trimming.
+ *
+ * @param {string} name - NPC name
+ * @param {string} [situation=''] - Situation to react to
+ * @returns {Promise<Array<{role: string, content: string}>>} Prompt messages
+ */
+export async function simulateNPCPrompt(name, situation = '') {
+    const npc = await describeNPC(name, await loadKnownCharacters());
+
+    let contextData;
+    if (npc.source === 'card') {
+        contextData = await buildNPCContext(npc.characterId, situation);
+    } else if (npc.lorebookCharacter) {
+        contextData = await buildLorebookNPCContext({ ...npc.lorebookCharacter, factions: npc.tags }, situation);
+    } else {
+        contextData = await buildVirtualNPCContext({
+            name: npc.name,
+            identity: getSessionCharacter(npc.name)?.identity || `A character named ${npc.name}.`,
+            factions: npc.tags,
+        }, situation);
+    }
+
+    return buildNPCMessages(contextData);
+}
+
+// ============================================================================
+// Drawer
+// ============================================================================
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build HTML for one entry row of the grid
+ * @param {Object} row - Matrix row
+ * @returns {string} HTML string for the row
+ */
+function buildEntryRow(row) {
+    const search = [row.label, ...row.keys, row.content].join(' ').toLowerCase();
+
+    const badges = [
+        row.type !== 'fact' ? `<span class="knowledge-badge knowledge-badge-type">${row.type.replace('_', ' ')}</span>` : '',
+        row.grant ? '<span class="knowledge-badge knowledge-badge-grant">taught</span>' : '',
+        row.flags.includes('everyone')
+            ? '<span class="knowledge-badge knowledge-badge-everyone" title="No character filter: every NPC sees this">everyone</span>'
+            : '',
+        row.flags.includes('nobody')
+            ? '<span class="knowledge-badge knowledge-badge-nobody" title="No known character passes this filter">nobody</span>'
+            : '',
+    ].join('');
+
+    const cells = row.cells.map(cell => `
+        <td class="knowledge-cell knowledge-cell-${cell.state}" title="${escapeHtml(`${cell.state}: ${cell.label}`)}">
+            ${STATE_SYMBOLS[cell.state]}<small>${escapeHtml(cell.label)}</small>
+        </td>
+    `).join('');
+
+    return `
+        <tr class="knowledge-inspector-row" data-search="${escapeHtml(search)}">
+            <th class="knowledge-entry" title="${escapeHtml(row.content.slice(0, 300))}">
+                <span class="knowledge-entry-label">${escapeHtml(row.label)}</span>
+                ${badges}
+            </th>
+            ${cells}
+        </tr>
+    `;
+}
+
+/**
+ * Build the complete drawer HTML
+ * @param {{npcs: InspectedNPC[], rows: Array<Object>}} matrix - Visibility matrix
+ * @returns {string} HTML string for the drawer
+ */
+function buildDrawerHtml({ npcs, rows }) {
+    const headers = npcs.map(npc => `
+        <th class="knowledge-npc" title="${escapeHtml(`${npc.source}${npc.tags.length > 0 ? ` · ${npc.tags.join(', ')}` : ''}`)}">
+            ${escapeHtml(npc.name)}
+        </th>
+    `).join('');
+
+    const npcOptions = npcs.map(npc =>
+        `<option value="${escapeHtml(npc.name)}">${escapeHtml(npc.name)}</option>`
+    ).join('');
+
+    const emptyMessage = rows.length === 0
+        ? '<div class="tier-debugger-empty">No lorebook entries found</div>'
+        : '';
+
+    const nobodyCount = rows.filter(row => row.flags.includes('nobody')).length;
+    const everyoneCount = rows.filter(row => row.flags.includes('everyone')).length;
+
+    return `
+        <div id="knowledge-inspector-drawer" class="drawer">
+            <div class="drawer-header">
+                <h3>Knowledge Inspector</h3>
+                <button id="knowledge-inspector-close" class="menu_button" title="Close">
+                    <i class="fa-solid fa-times"></i>
+                </button>
+            </div>
+            <div class="drawer-content">
+                <div class="tier-debugger-legend">
+                    <span class="knowledge-cell-visible">✓ visible</span>
+                    <span class="knowledge-cell-hidden">– hidden</span>
+                    <span class="knowledge-cell-excluded">✗ excluded</span>
+                    <br>${rows.length} entries: ${everyoneCount} visible to everyone, ${nobodyCount} visible to nobody.
+                </div>
+                <input id="knowledge-inspector-search" class="text_pole" type="search" placeholder="Search entries..." />
+                <div class="knowledge-inspector-grid">
+                    ${emptyMessage}
+                    <table>
+                        <thead><tr><th class="knowledge-entry">Entry</th>${headers}</tr></thead>
+                        <tbody>${rows.map(buildEntryRow).join('')}</tbody>
+                    </table>
+                </div>
+                <div class="knowledge-inspector-simulate">
+                    <select id="knowledge-inspector-npc" class="text_pole">${npcOptions}</select>
+                    <input id="knowledge-inspector-situation" class="text_pole" type="text" placeholder="Situation (optional)" />
+                    <button id="knowledge-inspector-simulate" class="menu_button" title="Build the prompt this NPC would get">
+                        <i class="fa-solid fa-play"></i> Simulate Prompt
+                    </button>
+                </div>
+                <pre id="knowledge-inspector-prompt" class="knowledge-inspector-prompt"></pre>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Bind event handlers for the drawer
+ */
+function bindDrawerEvents() {
+    // Close button
+    $('#knowledge-inspector-close').on('click', closeKnowledgeInspector);
+
+    // Search - hide rows that don't mention the text
+    $('#knowledge-inspector-search').on('input', function () {
+        const query = String($(this).val() || '').trim().toLowerCase();
+        $('.knowledge-inspector-row').each(function () {
+            $(this).toggle(!query || String($(this).attr('data-search')).includes(query));
+        });
+    });
+
+    // Simulate prompt for the selected NPC
+    $('#knowledge-inspector-simulate').on('click', async function () {
+        const name = $('#knowledge-inspector-npc').val();
+        if (!name) return;
+
+        try {
+            const messages = await simulateNPCPrompt(name, String($('#knowledge-inspector-situation').val() || ''));
+            $('#knowledge-inspector-prompt').text(
+                messages.map(message => `[${message.role}]\n${message.content}`).join('\n\n'),
+            );
+        } catch (error) {
+            logger.error({ event: 'knowledge_simulate_failed', npc: name, error: error.message });
+            toastr.error(`Failed to simulate prompt: ${error.message}`);
+        }
+    });
+
+    // ESC key to close
+    $(document).on('keydown.knowledgeInspector', function (e) {
+        if (e.key === 'Escape') {
+            closeKnowledgeInspector();
+        }
+    });
+}
+
+/**
+ * Open the knowledge inspector drawer
+ */
+export async function openKnowledgeInspector() {
+    try {
+        const matrix = await getKnowledgeMatrix();
+
+        // Remove existing drawer if any
+        $('#knowledge-inspector-drawer').remove();
+        $('body').append(buildDrawerHtml(matrix));
+        bindDrawerEvents();
+
+        // Animate in (small delay to allow CSS transition)
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                $('#knowledge-inspector-drawer').addClass('open');
+            });
+        });
+
+        logger.debug({
+            event: 'knowledge_inspector_opened',
+            entries: matrix.rows.length,
+            npcs: matrix.npcs.length,
+        });
+    } catch (error) {
+        logger.error({ event: 'knowledge_inspector_open_failed', error: error.message });
+        toastr.error(`Failed to open Knowledge Inspector: ${error.message}`);
+    }
+}
+
+/**
+ * Close and remove the knowledge inspector drawer
+ */
+export function closeKnowledgeInspector() {
+    const drawer = $('#knowledge-inspector-drawer');
+    if (drawer.length === 0) return;
+
+    drawer.removeClass('open');
+
+    // Remove ESC key handler
+    $(document).off('keydown.knowledgeInspector');
+
+    // Remove after animation
+    setTimeout(() => {
+        drawer.remove();
+    }, 300);
+
+    logger.debug({ event: 'knowledge_inspector_closed' });
+}
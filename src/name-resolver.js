@@ -0,0 +1,484 @@
+/**
+ * Name Resolver for SillyTavern-Ensemble
+ *
+ * Maps the names a GM writes ("the bartender", "Harl", "Dr. Quinzel") to a
+ * known character before the character resolver falls back to creating a
+ * new one. Characters are gathered from all three persistent sources:
+ * - ST character cards, with aliases in `extensions.ensemble.aliases`
+ * - `ensemble_character:` lorebook entries, with an `aliases` field
+ * - Session characters, with an `aliases` list
+ *
+ * Matching runs exact name, then exact alias, then Fuse fuzzy matching over
+ * names and aliases. A fuzzy match must clear a confidence threshold, and
+ * when two characters match about equally well the name is reported as
+ * ambiguous rather than guessed.
+ *
+ * @module name-resolver
+ */
+
+import { logger } from './logger.js';
+import { getAllLorebookCharacters } from './context.js';
+import {
+    getAllSessionCharacters,
+    getSessionCharacter,
+    updateSessionCharacter,
+    resolveCharacter,
+} from './character-resolver.js';
+
+/**
+ * Worst Fuse score (0 = perfect, 1 = no match) accepted as a fuzzy match.
+ * Kept strict: a looser match folds new extras into known ones ("Guard 2"
+ * into "Guard 1", "Mara" into "Marcus").
+ * @type {number}
+ */
+const FUZZY_THRESHOLD = 0.1;
+
+/**
+ * Two characters whose best fuzzy scores are closer than this are treated
+ * as an ambiguous match.
+ * @type {number}
+ */
+const AMBIGUITY_MARGIN = 0.1;
+
+/**
+ * Shortest name fuzzy-matched; shorter names only match exactly.
+ * @type {number}
+ */
+const MIN_FUZZY_LENGTH = 5;
+
+/**
+ * Shortest word allowed to differ by a typo in a fuzzy match; shorter words
+ * must match exactly.
+ * @type {number}
+ */
+const MIN_TYPO_WORD_LENGTH = 4;
+
+/**
+ * Leading words ignored when comparing names ("the bartender" = "bartender").
+ * @type {RegExp}
+ */
+const LEADING_ARTICLE = /^(the|a|an)\s+/;
+
+/**
+ * Character sources in resolution priority order.
+ * @type {readonly string[]}
+ */
+const SOURCE_PRIORITY = Object.freeze(['card', 'lorebook', 'session']);
+
+/**
+ * @typedef {Object} NameCandidate
+ * @property {string} name - Canonical character name
+ * @property {'card'|'lorebook'|'session'} source - Where the character is defined
+ * @property {number|null} characterId - Character index for cards, else null
+ * @property {string[]} aliases - Declared aliases
+ */
+
+/**
+ * @typedef {Object} NameMatch
+ * @property {NameCandidate|null} match - The character the name refers to, or null
+ * @property {'exact'|'alias'|'fuzzy'|null} method - How it was matched
+ * @property {NameCandidate[]} ambiguous - Equally likely characters when the name is ambiguous
+ */
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+/**
+ * Normalize a name or alias for comparison.
+ *
+ * @param {string} name - Raw name
+ * @returns {string} Lowercase name without surrounding space or a leading article
+ */
+export function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(LEADING_ARTICLE, '');
+}
+
+/**
+ * Normalize an alias list from a card, lorebook entry or session character.
+ * Accepts an array or a comma-separated string.
+ *
+ * @param {string|string[]|null|undefined} aliases - Raw aliases
+ * @returns {string[]} Trimmed, de-duplicated aliases
+ */
+export function normalizeAliases(aliases) {
+    const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(',');
+    const seen = new Set();
+    const result = [];
+
+    for (const alias of list) {
+        if (typeof alias !== 'string') continue;
+        const trimmed = alias.trim();
+        const key = normalizeName(trimmed);
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            result.push(trimmed);
+        }
+    }
+    return result;
+}
+
+// ============================================================================
+// Candidates
+// ============================================================================
+
+/**
+ * Gather every known character with its aliases.
+ *
+ * A character defined in several sources (a lorebook character hydrated into
+ * the session, say) appears once, under its highest-priority source, with
+ * the aliases from all of them.
+ *
+ * @returns {Promise<NameCandidate[]>} Known characters
+ */
+export async function getNameCandidates() {
+    const byName = new Map();
+
+    const add = (name, source, characterId, aliases) => {
+        const key = normalizeName(name);
+        if (!key) return;
+
+        const existing = byName.get(key);
+        if (!existing) {
+            byName.set(key, { name, source, characterId, aliases: normalizeAliases(aliases) });
+            return;
+        }
+        existing.aliases = normalizeAliases([...existing.aliases, ...normalizeAliases(aliases)]);
+        if (SOURCE_PRIORITY.indexOf(source) < SOURCE_PRIORITY.indexOf(existing.source)) {
+            Object.assign(existing, { name, source, characterId });
+        }
+    };
+
+    const characters = SillyTavern.getContext().characters || [];
+    characters.forEach((character, index) => {
+        if (character?.name) {
+            add(character.name, 'card', index, character.data?.extensions?.ensemble?.aliases);
+        }
+    });
+
+    for (const character of (await getAllLorebookCharacters()).values()) {
+        add(character.name, 'lorebook', null, character.aliases);
+    }
+
+    for (const character of getAllSessionCharacters().values()) {
+        add(character.name, 'session', null, character.aliases);
+    }
+
+    return [...byName.values()];
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Pick the highest-priority candidate from a list of matches for the same
+ * query, or report them as ambiguous when they are different characters.
+ *
+ * @param {NameCandidate[]} matches - Candidates that matched
+ * @param {'exact'|'alias'} method - How they matched
+ * @returns {NameMatch} Match result
+ */
+function pickExactMatch(matches, method) {
+    if (matches.length === 1) {
+        return { match: matches[0], method, ambiguous: [] };
+    }
+    return { match: null, method: null, ambiguous: matches };
+}
+
+/**
+ * Count the edits (insertions, deletions, substitutions and swaps of
+ * neighboring letters) between two words.
+ *
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Check that a fuzzy hit is a misspelling of the name rather than a
+ * different name: same numbers, same number of words, and each word equal
+ * or one typo away. "Harley Quin" is Harley Quinn; "Thug2", "Guard" and
+ * "Red Guard" are not "Thug1", "Guard 1" and "Blue Guard".
+ *
+ * @param {string} query - Normalized name
+ * @param {string} text - Normalized candidate name or alias
+ * @returns {boolean} True if the two can be the same name
+ */
+function isSpellingVariant(query, text) {
+    const numbers = value => (value.match(/\d+/g) || []).join(' ');
+    if (numbers(query) !== numbers(text)) {
+        return false;
+    }
+
+    const words = value => value.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const queryWords = words(query);
+    const textWords = words(text);
+    if (queryWords.length !== textWords.length) {
+        return false;
+    }
+
+    return queryWords.every((word, i) => word === textWords[i] ||
+        (Math.min(word.length, textWords[i].length) >= MIN_TYPO_WORD_LENGTH && editDistance(word, textWords[i]) <= 1));
+}
+
+/**
+ * Fuzzy-match a name against candidate names and aliases with Fuse.
+ *
+ * @param {string} query - Normalized name
+ * @param {NameCandidate[]} candidates - Known characters
+ * @returns {NameMatch} Match result (no match when Fuse is unavailable)
+ */
+function fuzzyMatch(query, candidates) {
+    const { Fuse } = SillyTavern.libs || {};
+    if (!Fuse) {
+        logger.debug({ event: 'name_fuzzy_unavailable' });
+        return { match: null, method: null, ambiguous: [] };
+    }
+
+    const terms = candidates.flatMap(candidate => [candidate.name, ...candidate.aliases]
+        .map(text => ({ text: normalizeName(text), candidate })));
+    const fuse = new Fuse(terms, {
+        keys: ['text'],
+        includeScore: true,
+        ignoreLocation: true,
+        threshold: FUZZY_THRESHOLD,
+    });
+
+    // Best score per character, best first
+    const best = new Map();
+    for (const { item, score } of fuse.search(query)) {
+        if (score <= FUZZY_THRESHOLD && isSpellingVariant(query, item.text) && (!best.has(item.candidate) || score < best.get(item.candidate))) {
+            best.set(item.candidate, score);
+        }
+    }
+    const ranked = [...best.entries()].sort((a, b) => a[1] - b[1]);
+
+    if (ranked.length === 0) {
+        return { match: null, method: null, ambiguous: [] };
+    }
+
+    const [topCandidate, topScore] = ranked[0];
+    const rivals = ranked.filter(([, score]) => score - topScore < AMBIGUITY_MARGIN);
+    if (rivals.length > 1) {
+        return { match: null, method: null, ambiguous: rivals.map(([candidate]) => candidate) };
+    }
+
+    logger.debug({
+        event: 'name_fuzzy_matched',
+        query,
+        match: topCandidate.name,
+        score: topScore,
+    });
+    return { match: topCandidate, method: 'fuzzy', ambiguous: [] };
+}
+
+/**
+ * Find the known character a name refers to.
+ *
+ * @param {string} name - Name as written by the GM
+ * @param {NameCandidate[]|null} [knownCandidates=null] - Candidates from getNameCandidates,
+ *        to avoid reloading them when resolving many names
+ * @returns {Promise<NameMatch>} Match result; `match` is null for unknown or ambiguous names
+ */
+export async function resolveName(name, knownCandidates = null) {
+    const query = normalizeName(name);
+    if (!query) {
+        return { match: null, method: null, ambiguous: [] };
+    }
+
+    const candidates = knownCandidates || await getNameCandidates();
+
+    const byName = candidates.filter(candidate => normalizeName(candidate.name) === query);
+    if (byName.length > 0) {
+        return pickExactMatch(byName, 'exact');
+    }
+
+    const byAlias = candidates.filter(candidate =>
+        candidate.aliases.some(alias => normalizeName(alias) === query));
+    if (byAlias.length > 0) {
+        return pickExactMatch(byAlias, 'alias');
+    }
+
+    if (query.length < MIN_FUZZY_LENGTH) {
+        return { match: null, method: null, ambiguous: [] };
+    }
+    return fuzzyMatch(query, candidates);
+}
+
+/**
+ * Build the error reported to the GM for an ambiguous name.
+ *
+ * @param {string} name - Name as written by the GM
+ * @param {NameCandidate[]} candidates - Characters it could refer to
+ * @returns {Error} Error with isAmbiguous and candidates set
+ */
+export function createAmbiguousNameError(name, candidates) {
+    const names = candidates.map(candidate => candidate.name);
+    const list = names.length > 1
+        ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+        : names[0];
+    const error = new Error(`"${name}" could refer to ${list}. Use the full name or add an alias.`);
+    error.isAmbiguous = true;
+    error.candidates = names;
+    return error;
+}
+
+// ============================================================================
+// Alias Management
+// ============================================================================
+
+/**
+ * Find the character an alias command targets, by exact name or alias only.
+ *
+ * @param {string} name - Character name or existing alias
+ * @returns {Promise<NameCandidate|null>} Character, or null if unknown or ambiguous
+ */
+async function findAliasTarget(name) {
+    const result = await resolveName(name);
+    return result.method === 'exact' || result.method === 'alias' ? result.match : null;
+}
+
+/**
+ * Write a card's aliases, keeping the rest of its `extensions.ensemble` block.
+ *
+ * @param {number} characterId - Index into the characters array
+ * @param {string[]} aliases - Full alias list
+ * @returns {Promise<void>}
+ */
+async function writeCardAliases(characterId, aliases) {
+    const context = SillyTavern.getContext();
+    if (!context.writeExtensionField) {
+        throw new Error('Cannot save to card: API unavailable');
+    }
+
+    const ensembleData = { ...(context.characters[characterId]?.data?.extensions?.ensemble || {}) };
+    if (aliases.length > 0) {
+        ensembleData.aliases = aliases;
+    } else {
+        delete ensembleData.aliases;
+    }
+    await context.writeExtensionField(characterId, 'ensemble', ensembleData);
+}
+
+/**
+ * Get the aliases stored where the alias command writes them: the card for
+ * card characters, session memory for everyone else.
+ *
+ * @param {NameCandidate} target - Character
+ * @returns {string[]} Editable aliases
+ */
+function getEditableAliases(target) {
+    if (target.source === 'card') {
+        const character = SillyTavern.getContext().characters[target.characterId];
+        return normalizeAliases(character?.data?.extensions?.ensemble?.aliases);
+    }
+    return normalizeAliases(getSessionCharacter(target.name)?.aliases);
+}
+
+/**
+ * Store a character's editable aliases.
+ *
+ * Lorebook characters are hydrated into the session first; their entry's
+ * own aliases stay in the lorebook.
+ *
+ * @param {NameCandidate} target - Character
+ * @param {string[]} aliases - Full alias list
+ * @returns {Promise<void>}
+ */
+async function saveEditableAliases(target, aliases) {
+    if (target.source === 'card') {
+        await writeCardAliases(target.characterId, aliases);
+        return;
+    }
+    if (!getSessionCharacter(target.name)) {
+        await resolveCharacter(target.name);
+    }
+    updateSessionCharacter(target.name, { aliases });
+}
+
+/**
+ * Add aliases to a character.
+ *
+ * Refuses aliases that already name or alias a different character, since
+ * they would make the name ambiguous.
+ *
+ * @param {string} name - Character name or existing alias
+ * @param {string[]} aliases - Aliases to add
+ * @returns {Promise<{success: boolean, name?: string, aliases?: string[], error?: string}>} Result
+ */
+export async function addAliases(name, aliases) {
+    const target = await findAliasTarget(name);
+    if (!target) {
+        return { success: false, error: `No character named "${name}".` };
+    }
+
+    const toAdd = normalizeAliases(aliases);
+    const candidates = await getNameCandidates();
+    for (const alias of toAdd) {
+        const key = normalizeName(alias);
+        const owner = candidates.find(candidate => candidate.name !== target.name &&
+            [candidate.name, ...candidate.aliases].some(existing => normalizeName(existing) === key));
+        if (owner) {
+            return { success: false, error: `"${alias}" already refers to ${owner.name}.` };
+        }
+    }
+
+    const updated = normalizeAliases([...getEditableAliases(target), ...toAdd]);
+    await saveEditableAliases(target, updated);
+
+    logger.info({ event: 'aliases_added', name: target.name, source: target.source, aliases: toAdd });
+    return { success: true, name: target.name, aliases: updated };
+}
+
+/**
+ * Remove aliases from a character.
+ *
+ * @param {string} name - Character name or existing alias
+ * @param {string[]} aliases - Aliases to remove
+ * @returns {Promise<{success: boolean, name?: string, aliases?: string[], error?: string}>} Result
+ */
+export async function removeAliases(name, aliases) {
+    const target = await findAliasTarget(name);
+    if (!target) {
+        return { success: false, error: `No character named "${name}".` };
+    }
+
+    const toRemove = new Set(normalizeAliases(aliases).map(normalizeName));
+    const current = getEditableAliases(target);
+    const updated = current.filter(alias => !toRemove.has(normalizeName(alias)));
+    if (updated.length === current.length) {
+        const fromLorebook = target.aliases.some(alias => toRemove.has(normalizeName(alias)));
+        return {
+            success: false,
+            error: fromLorebook
+                ? `That alias is defined in ${target.name}'s lorebook entry; edit it there.`
+                : `${target.name} has no such alias.`,
+        };
+    }
+
+    await saveEditableAliases(target, updated);
+
+    logger.info({ event: 'aliases_removed', name: target.name, source: target.source, aliases: [...toRemove] });
+    return { success: true, name: target.name, aliases: updated };
+}
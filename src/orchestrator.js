@@ -4,28 +4,80 @@
  * Handles parallel NPC response generation by:
  * 1. Resolving NPC names to character IDs
  * 2. Inferring tier and selecting appropriate backend profile
- * 3. Executing requests in parallel via Promise.allSettled()
+ * 3. Executing requests in parallel via Promise.allSettled(), optionally
+ *    in sequential waves so later NPCs can react to earlier ones
  * 4. Aggregating results for GM narrative weaving
  *
  * @module orchestrator
  */
 
 import { logger, generateCorrelationId } from './logger.js';
-import { inferTier, getProfileForTier, directGenerate } from './router.js';
-import { buildNPCPromptWithContext, buildNPCContext, buildNPCMessages } from './context.js';
+import {
+    inferTier,
+    getProfileForTier,
+    getProfileChain,
+    getPinnedProfiles,
+    normalizeProfilePins,
+    directGenerate,
+    extractResponseText,
+    TIERS,
+} from './router.js';
+import {
+    buildNPCContext,
+    buildLorebookNPCContext,
+    buildVirtualNPCContext,
+    buildNPCMessages,
+    findLorebookCharacter,
+    noteWitnesses,
+} from './context.js';
+import { fitContextToBudget } from './token-budget.js';
+import { rankKnowledge } from './knowledge-index.js';
+import { createProgressCard } from './progress-panel.js';
+import {
+    getStreamingSettings,
+    isStreamingEnabledForTier,
+    getGenerationSettings,
+    normalizeGenerationParams,
+} from './settings.js';
+import { resolveName, createAmbiguousNameError } from './name-resolver.js';
+import { runJob, registerNpcController, unregisterNpcController, stopAllJobs } from './jobs.js';
+import { getGrants } from './knowledge-grants.js';
 import {
     resolveCharacter,
+    getSessionCharacter,
     incrementSpawnCount,
     addGeneratedResponse,
 } from './character-resolver.js';
 
 /**
- * Module-level AbortController for cancelling pending NPC generation requests.
- * Only one spawn operation can be active at a time - starting a new spawn
- * will automatically abort any previous pending spawn.
- * @type {AbortController|null}
+ * Valid ordering modes for spawn operations.
+ * - parallel: every NPC acts at once (default)
+ * - initiative: NPCs act in waves following the `waves` layout, or one NPC per wave in list order
+ * - tier: NPCs are grouped into waves by tier, highest tier first
+ * @type {readonly string[]}
+ */
+export const ORDERING_MODES = Object.freeze(['parallel', 'initiative', 'tier']);
+
+/**
+ * Valid end conditions for NPC conversations.
+ * - round_cap: run until the round limit (NPCs that leave drop out)
+ * - npc_leaves: stop as soon as any NPC leaves the conversation
+ * - stop_phrase: stop once any NPC says the configured stop phrase
+ * @type {readonly string[]}
+ */
+export const CONVERSATION_END_CONDITIONS = Object.freeze(['round_cap', 'npc_leaves', 'stop_phrase']);
+
+/**
+ * Upper bound on conversation rounds, regardless of what the GM requests.
+ * @type {number}
+ */
+const MAX_CONVERSATION_ROUNDS = 10;
+
+/**
+ * Marker an NPC appends to its reply when it leaves a conversation.
+ * @type {string}
  */
-let currentAbortController = null;
+const CONVERSATION_EXIT_MARKER = '[EXIT]';
 
 /**
  * Find a character's index by name (case-insensitive).
@@ -51,28 +103,59 @@ export function findCharacterByName(name) {
 }
 
 /**
- * Build prompt messages for a virtual character (not an ST card).
+ * Build the full context for any resolved NPC.
  *
- * Virtual characters include lorebook characters, session characters,
- * template-generated characters, and stubs.
+ * Cards filter knowledge by their ST tags; lorebook and virtual characters
+ * (session, template-generated and stubs) by their factions.
  *
- * @param {Object} resolved - Resolved character object
+ * @param {Object} resolved - Resolved character object from character-resolver
  * @param {string} situation - The situation to react to
- * @param {string} format - Response format
- * @returns {Array<{role: string, content: string}>} Messages array for API
+ * @param {Object} [options={}] - Context options (see buildNPCContext)
+ * @returns {Promise<Object>} Context object with all NPC-relevant data
  */
-function buildVirtualCharacterMessages(resolved, situation, format) {
-    // Build a simple context from the resolved character
-    const contextData = {
-        npc_name: resolved.name,
-        npc_voice: '',
-        npc_personality: resolved.identity,
-        knowledge: '', // Virtual characters have limited knowledge
-        scene_state: '',
-        situation: situation,
-    };
+function buildResolvedNPCContext(resolved, situation, options = {}) {
+    if (resolved.stCharacterId !== null) {
+        return buildNPCContext(resolved.stCharacterId, situation, options);
+    }
+    if (resolved.lorebookCharacter) {
+        return buildLorebookNPCContext({ ...resolved.lorebookCharacter, factions: resolved.factions }, situation, options);
+    }
+    return buildVirtualNPCContext(resolved, situation, options);
+}
+
+/**
+ * Get the sampler parameters for an NPC: its tier's settings, overridden
+ * by the `extensions.ensemble.generation` block of its character card.
+ * Lorebook and session characters have no card and use the tier's settings.
+ *
+ * @param {string} tier - Tier serving the NPC
+ * @param {number|null} stCharacterId - Character index, or null for virtual characters
+ * @returns {Object} Sampler parameters (temperature, top_p, max_tokens, penalties, stop)
+ */
+function getNPCGenerationParams(tier, stCharacterId) {
+    const params = getGenerationSettings(tier);
+    if (stCharacterId === null || stCharacterId === undefined) {
+        return params;
+    }
+
+    const character = SillyTavern.getContext().characters?.[stCharacterId];
+    const overrides = normalizeGenerationParams(character?.data?.extensions?.ensemble?.generation);
+    return { ...params, ...overrides };
+}
 
-    return buildNPCMessages(contextData, format);
+/**
+ * Get the profiles an NPC is pinned to, tried before its tier's chain.
+ * Cards use their session or card pins; virtual characters use the pins in
+ * their session metadata.
+ *
+ * @param {Object} resolved - Resolved character object from character-resolver
+ * @returns {string[]} Pinned profile names (empty when not pinned)
+ */
+function getNPCPinnedProfiles(resolved) {
+    if (resolved.stCharacterId !== null && resolved.stCharacterId !== undefined) {
+        return getPinnedProfiles(resolved.stCharacterId).profiles;
+    }
+    return normalizeProfilePins(getSessionCharacter(resolved.name)?.profiles);
 }
 
 /**
@@ -84,11 +167,25 @@ function buildVirtualCharacterMessages(resolved, situation, format) {
  * @param {string} format - Response format
  * @param {string} correlationId - Correlation ID for logging
  * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @param {Object} [job=null] - Owning job from jobs.js, for stopping this NPC by name
  * @returns {Promise<Object>} Result object with response or error
  */
-async function executeNPCRequest(npcName, resolved, situation, format, correlationId, signal) {
+async function executeNPCRequest(npcName, resolved, situation, format, correlationId, signal, job = null) {
     const startTime = Date.now();
 
+    // Per-NPC controller so one NPC can be cancelled from its progress card
+    // without stopping the rest of the spawn; the spawn-wide signal still
+    // aborts it
+    const npcController = new AbortController();
+    const abortNpc = () => npcController.abort();
+    if (signal?.aborted) {
+        abortNpc();
+    } else {
+        signal?.addEventListener('abort', abortNpc, { once: true });
+    }
+    registerNpcController(job, npcName, npcController);
+    let card = null;
+
     try {
         // Get tier from resolved character (already inferred)
         // For ST cards, re-infer for accuracy; for virtual characters, use resolved tier
@@ -98,7 +195,14 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
         } else {
             tier = resolved.tier;
         }
-        const profile = getProfileForTier(tier);
+        const pinnedProfiles = getNPCPinnedProfiles(resolved);
+        const profile = getProfileChain(tier, pinnedProfiles)[0] || null;
+        const stream = isStreamingEnabledForTier(tier);
+        const generation = getNPCGenerationParams(tier, resolved.stCharacterId);
+
+        if (getStreamingSettings().showProgress) {
+            card = createProgressCard({ npc: npcName, tier: tier, onCancel: abortNpc });
+        }
 
         logger.debug({
             event: 'request_sent',
@@ -106,25 +210,29 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
             tier: tier,
             source: resolved.source,
             profile: profile?.name || 'current',
+            pinned: pinnedProfiles.length > 0,
         }, correlationId);
 
-        // Build prompt for this NPC
-        let messages;
-        if (resolved.stCharacterId !== null) {
-            // ST card: Use full lorebook context (Phase 2)
-            messages = await buildNPCPromptWithContext(resolved.stCharacterId, situation, format);
-        } else {
-            // Virtual character: Build simpler prompt from identity
-            messages = buildVirtualCharacterMessages(resolved, situation, format);
-        }
+        // Build prompt for this NPC with full lorebook context (Phase 2),
+        // trimmed to the primary profile's context window
+        const { messages, budget } = await fitContextToBudget(await buildResolvedNPCContext(resolved, situation), {
+            buildMessages: data => buildNPCMessages(data, format),
+            profile: profile,
+            responseTokens: generation.max_tokens,
+            correlationId: correlationId,
+        });
 
         // Make the API call
         const result = await directGenerate(messages, profile, {
             npcId: npcName,
             tier: tier,
-            max_tokens: 500,
-            temperature: 0.8,
-            signal: signal,
+            correlationId: correlationId,
+            ...generation,
+            pinnedProfiles: pinnedProfiles,
+            signal: npcController.signal,
+            stream: stream,
+            onToken: card ? (delta, text) => card.update(text) : undefined,
+            onStart: card ? profileName => card.setProfile(profileName) : undefined,
         });
 
         const latency = Date.now() - startTime;
@@ -136,26 +244,17 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
         }, correlationId);
 
         // Extract the response text from the API result
-        // The structure depends on the API, but typically it's in choices[0].message.content
-        let responseText = '';
-        if (result?.choices?.[0]?.message?.content) {
-            responseText = result.choices[0].message.content;
-        } else if (result?.content) {
-            responseText = result.content;
-        } else if (typeof result === 'string') {
-            responseText = result;
-        } else {
-            responseText = JSON.stringify(result);
-        }
-
-        const finalResponse = responseText.trim();
+        const finalResponse = extractResponseText(result).trim();
 
         // Track spawn count and response for virtual characters
         if (resolved.source !== 'card') {
-            incrementSpawnCount(npcName);
-            addGeneratedResponse(npcName, finalResponse);
+            incrementSpawnCount(resolved.name);
+            addGeneratedResponse(resolved.name, finalResponse);
         }
 
+        card?.update(finalResponse);
+        card?.finish({ success: true });
+
         return {
             npc: npcName,
             success: true,
@@ -164,11 +263,15 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
             latency: latency,
             tier: tier,
             source: resolved.source,
+            _meta: {
+                budget: budget,
+            },
         };
 
     } catch (error) {
         const latency = Date.now() - startTime;
-        const isAborted = error.name === 'AbortError';
+        // The router wraps network errors, so also check our own signal
+        const isAborted = error.name === 'AbortError' || npcController.signal.aborted;
 
         if (isAborted) {
             logger.debug({
@@ -184,6 +287,8 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
             }, correlationId);
         }
 
+        card?.finish({ success: false, error: isAborted ? 'Aborted' : error.message });
+
         return {
             npc: npcName,
             success: false,
@@ -192,6 +297,9 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
             latency: latency,
             tier: null,
         };
+    } finally {
+        signal?.removeEventListener('abort', abortNpc);
+        unregisterNpcController(job, npcController);
     }
 }
 
@@ -199,7 +307,7 @@ async function executeNPCRequest(npcName, resolved, situation, format, correlati
  * Aggregate Promise.allSettled results into formatted output.
  *
  * @param {Array<PromiseSettledResult>} results - Results from Promise.allSettled
- * @param {Array<string>} npcs - Original NPC name list
+ * @param {Array<string>} npcs - NPC names in the same order as results
  * @param {string} correlationId - Correlation ID for logging
  * @returns {Object} Aggregated results with formatted markdown
  */
@@ -268,40 +376,174 @@ export function aggregateResults(results, npcs, correlationId) {
 }
 
 /**
- * Spawn parallel NPC responses for a given situation.
+ * Resolve every NPC name up front so waves can be planned from resolved data.
+ * Resolution failures are kept on the target and surface as failed results.
+ *
+ * @param {string[]} npcs - NPC names to resolve
+ * @param {string} correlationId - Correlation ID for logging
+ * @param {string} situation - Situation the NPCs are spawned into (used when generating unknown NPCs)
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Array<{npcName: string, resolved: Object|null, error: Error|null}>>}
+ */
+async function resolveSpawnTargets(npcs, correlationId, situation, signal) {
+    const settled = await Promise.allSettled(npcs.map(npcName =>
+        resolveCharacter(npcName, { situation, correlationId, signal })));
+
+    return settled.map((result, index) => {
+        const npcName = npcs[index];
+
+        if (result.status === 'rejected') {
+            logger.warn({
+                event: 'character_resolve_failed',
+                npc: npcName,
+                error: result.reason?.message,
+            }, correlationId);
+            return { npcName, resolved: null, error: result.reason };
+        }
+
+        logger.debug({
+            event: 'character_resolved',
+            npc: npcName,
+            source: result.value.source,
+            tier: result.value.tier,
+        }, correlationId);
+
+        return { npcName, resolved: result.value, error: null };
+    });
+}
+
+/**
+ * Group resolved spawn targets into waves.
+ *
+ * Each wave runs in parallel; waves run one after another.
+ *
+ * @param {Array<{npcName: string, resolved: Object|null}>} targets - Resolved spawn targets
+ * @param {string} ordering - One of ORDERING_MODES
+ * @param {string[][]} [waves] - Explicit wave layout for initiative ordering
+ * @returns {Array<Array<Object>>} Targets grouped into waves, in acting order
+ */
+export function planWaves(targets, ordering, waves = null) {
+    if (ordering === 'tier') {
+        const tierIndex = target => {
+            const index = TIERS.indexOf(target.resolved?.tier);
+            return index === -1 ? TIERS.length : index;
+        };
+        const byTier = new Map();
+        for (const target of targets) {
+            const index = tierIndex(target);
+            if (!byTier.has(index)) {
+                byTier.set(index, []);
+            }
+            byTier.get(index).push(target);
+        }
+        return [...byTier.keys()].sort((a, b) => a - b).map(index => byTier.get(index));
+    }
+
+    if (ordering === 'initiative') {
+        if (!Array.isArray(waves) || waves.length === 0) {
+            // Initiative order is the order the NPCs were listed in
+            return targets.map(target => [target]);
+        }
+
+        const remaining = [...targets];
+        const planned = [];
+
+        for (const wave of waves) {
+            const names = (Array.isArray(wave) ? wave : [wave])
+                .filter(name => typeof name === 'string')
+                .map(name => name.toLowerCase().trim());
+            const group = [];
+
+            for (const name of names) {
+                const index = remaining.findIndex(t => t.npcName.toLowerCase().trim() === name);
+                if (index !== -1) {
+                    group.push(...remaining.splice(index, 1));
+                }
+            }
+
+            if (group.length > 0) {
+                planned.push(group);
+            }
+        }
+
+        // NPCs missing from the layout act last, together
+        if (remaining.length > 0) {
+            planned.push(remaining);
+        }
+
+        return planned;
+    }
+
+    return targets.length > 0 ? [targets] : [];
+}
+
+/**
+ * Build the situation text for a later wave.
+ *
+ * Appends the successful responses from earlier waves so NPCs in this
+ * wave can react to what was already said and done.
+ *
+ * @param {string} situation - The original situation
+ * @param {Array<Object>} priorResults - Result objects from earlier waves, in acting order
+ * @returns {string} Situation including earlier reactions
+ */
+export function buildWaveSituation(situation, priorResults) {
+    const reactions = priorResults.filter(r => r?.success && r.response);
+
+    if (reactions.length === 0) {
+        return situation;
+    }
+
+    const transcript = reactions
+        .map(r => `### ${r.npc}\n${r.response}`)
+        .join('\n\n');
+
+    return `${situation}\n\n## What Others Just Did\nThese characters have already reacted, in this order:\n\n${transcript}`;
+}
+
+/**
+ * Spawn NPC responses for a given situation.
  *
  * This is the main orchestration function that:
  * 1. Generates a correlation ID for request tracing
  * 2. Resolves NPC names to character IDs
- * 3. Builds prompts and infers tiers for each NPC
- * 4. Executes all requests in parallel
- * 5. Aggregates results into formatted output
+ * 3. Plans waves from the requested ordering
+ * 4. Executes each wave in parallel, feeding earlier waves into later ones
+ * 5. Aggregates results into formatted output, in acting order
  *
  * @param {Object} params - The spawn parameters
  * @param {string[]} params.npcs - Array of NPC names to generate responses for
  * @param {string} params.situation - Description of what happened/context
  * @param {string} [params.format='full'] - Response format: 'dialogue', 'action', or 'full'
+ * @param {string} [params.ordering='parallel'] - Ordering mode: 'parallel', 'initiative', or 'tier'
+ * @param {string[][]} [params.waves] - Explicit wave layout for initiative ordering
  * @returns {Promise<Object>} Aggregated results with markdown and statistics
  */
-export async function spawnNPCResponses({ npcs, situation, format = 'full' }) {
+export async function spawnNPCResponses({ npcs, situation, format = 'full', ordering = 'parallel', waves = null }) {
     const correlationId = generateCorrelationId();
-
-    // Auto-abort any existing spawn (prevents race condition from double-clicks)
-    if (currentAbortController) {
-        currentAbortController.abort();
-        logger.info({ event: 'previous_spawn_aborted' }, correlationId);
+    const mode = ORDERING_MODES.includes(ordering) ? ordering : 'parallel';
+
+    // NPCs named only in the wave layout still take part
+    let npcList = Array.isArray(npcs) ? [...npcs] : [];
+    if (mode === 'initiative' && Array.isArray(waves)) {
+        const listed = new Set(npcList.map(name => String(name).toLowerCase().trim()));
+        for (const name of waves.flat()) {
+            if (typeof name === 'string' && !listed.has(name.toLowerCase().trim())) {
+                npcList.push(name);
+                listed.add(name.toLowerCase().trim());
+            }
+        }
     }
-    currentAbortController = new AbortController();
-    const signal = currentAbortController.signal;
 
     logger.info({
         event: 'spawn_start',
-        npcs: npcs,
+        npcs: npcList,
         format: format,
+        ordering: mode,
     }, correlationId);
 
     // Validate inputs
-    if (!Array.isArray(npcs) || npcs.length === 0) {
+    if (npcList.length === 0) {
         logger.warn({
             event: 'spawn_aborted',
             reason: 'No NPCs specified',
@@ -329,32 +571,332 @@ export async function spawnNPCResponses({ npcs, situation, format = 'full' }) {
         };
     }
 
-    // Resolve NPC names using the virtual character layer
-    // resolveCharacter() always returns a character (falls back to template/stub)
-    const npcRequests = npcs.map(async npcName => {
-        const resolved = await resolveCharacter(npcName);
+    // Run as a tracked job; the spawn policy decides whether it waits for,
+    // runs alongside, or replaces spawns already in flight
+    return runJob({ kind: 'spawn', npcs: npcList, correlationId }, async (job) => {
+        const signal = job.controller.signal;
+
+        // Resolve NPC names using the virtual character layer
+        // resolveCharacter() always returns a character (falls back to template/stub)
+        const targets = await resolveSpawnTargets(npcList, correlationId, situation, signal);
+        const plannedWaves = planWaves(targets, mode, waves);
+
+        const settled = [];
+        const actingOrder = [];
+        let waveSituation = situation;
+
+        for (let i = 0; i < plannedWaves.length; i++) {
+            const wave = plannedWaves[i];
+
+            if (plannedWaves.length > 1) {
+                logger.debug({
+                    event: 'wave_start',
+                    wave: i + 1,
+                    waves: plannedWaves.length,
+                    npcs: wave.map(target => target.npcName),
+                }, correlationId);
+            }
+
+            // Execute every NPC in this wave in parallel
+            const waveResults = await Promise.allSettled(wave.map(target => target.error
+                ? Promise.reject(target.error)
+                : executeNPCRequest(target.npcName, target.resolved, waveSituation, format, correlationId, signal, job)
+            ));
 
-        logger.debug({
-            event: 'character_resolved',
-            npc: npcName,
-            source: resolved.source,
-            tier: resolved.tier,
-        }, correlationId);
+            for (const result of waveResults) {
+                if (result.status === 'fulfilled') {
+                    result.value.wave = i + 1;
+                }
+            }
+
+            settled.push(...waveResults);
+            actingOrder.push(...wave.map(target => target.npcName));
+
+            // Later waves see everything said so far
+            waveSituation = buildWaveSituation(
+                situation,
+                settled.filter(r => r.status === 'fulfilled').map(r => r.value)
+            );
+        }
+
+        // Aggregate and format results
+        const aggregated = aggregateResults(settled, actingOrder, correlationId);
+        noteWitnesses(targets.filter(target => !target.error).map(target => target.npcName));
 
-        // Execute the NPC request with resolved character
-        return executeNPCRequest(npcName, resolved, situation, format, correlationId, signal);
+        return {
+            ...aggregated,
+            ordering: mode,
+            waves: plannedWaves.map(wave => wave.map(target => target.npcName)),
+            jobId: job.id,
+            correlationId: correlationId,
+        };
     });
+}
+
+/**
+ * Build the situation text for one conversation turn.
+ *
+ * @param {string} situation - What the conversation is about
+ * @param {Array<{npc: string, response: string}>} transcript - Lines spoken so far
+ * @param {string} speaker - NPC whose turn it is
+ * @param {string[]} participants - NPCs still in the conversation
+ * @returns {string} Situation for this turn
+ */
+function buildConversationTurnSituation(situation, transcript, speaker, participants) {
+    const others = participants.filter(name => name !== speaker);
+    const lines = transcript.length > 0
+        ? transcript.map(line => `**${line.npc}:** ${line.response}`).join('\n\n')
+        : '*Nobody has spoken yet. You open the conversation.*';
 
-    // Execute all requests in parallel
-    const results = await Promise.allSettled(npcRequests);
+    return `${situation}
 
-    // Aggregate and format results
-    const aggregated = aggregateResults(results, npcs, correlationId);
+## Conversation So Far
+${lines}
 
-    return {
-        ...aggregated,
-        correlationId: correlationId,
+---
+
+You are in a conversation with ${others.join(', ') || 'no one else'}. It is your turn to speak. Reply to what was just said; do not speak for anyone else.
+If you would leave or walk away from the conversation, end your reply with ${CONVERSATION_EXIT_MARKER}.`;
+}
+
+/**
+ * Run a multi-round conversation between several NPCs.
+ *
+ * NPCs speak one at a time in list order each round, and every turn sees
+ * the transcript so far. Each NPC is prompted through its own context, so
+ * knowledge isolation holds for every line.
+ *
+ * @param {Object} params - The conversation parameters
+ * @param {string[]} params.npcs - NPC names, in speaking order
+ * @param {string} params.situation - What the conversation is about
+ * @param {number} [params.rounds=3] - Maximum number of rounds
+ * @param {string} [params.end_condition='round_cap'] - One of CONVERSATION_END_CONDITIONS
+ * @param {string} [params.stop_phrase] - Phrase that ends the conversation (stop_phrase condition)
+ * @param {string} [params.format='full'] - Response format: 'dialogue', 'action', or 'full'
+ * @returns {Promise<Object>} Transcript, per-NPC summary, markdown and end reason
+ */
+export async function spawnNPCConversation({
+    npcs,
+    situation,
+    rounds = 3,
+    end_condition = 'round_cap',
+    stop_phrase = '',
+    format = 'full',
+}) {
+    const correlationId = generateCorrelationId();
+    const endCondition = CONVERSATION_END_CONDITIONS.includes(end_condition) ? end_condition : 'round_cap';
+    const maxRounds = Math.min(Math.max(parseInt(rounds, 10) || 1, 1), MAX_CONVERSATION_ROUNDS);
+    const stopPhrase = typeof stop_phrase === 'string' ? stop_phrase.trim().toLowerCase() : '';
+
+    logger.info({
+        event: 'conversation_start',
+        npcs,
+        rounds: maxRounds,
+        endCondition,
+    }, correlationId);
+
+    if (!Array.isArray(npcs) || npcs.length < 2) {
+        return {
+            transcript: [],
+            summary: [],
+            rounds: 0,
+            endedBy: 'not_enough_participants',
+            markdown: '*A conversation needs at least two NPCs.*',
+            correlationId,
+        };
+    }
+
+    if (!situation || typeof situation !== 'string') {
+        return {
+            transcript: [],
+            summary: [],
+            rounds: 0,
+            endedBy: 'no_situation',
+            markdown: '*No situation provided for the conversation.*',
+            correlationId,
+        };
+    }
+
+    return runJob({ kind: 'conversation', npcs, correlationId }, async (job) => {
+        const signal = job.controller.signal;
+
+        const targets = await resolveSpawnTargets(npcs, correlationId, situation, signal);
+
+        /** @type {Map<string, {npc: string, turns: number, failures: number, left: boolean, leftInRound: number|null, lastLine: string|null, error: string|null}>} */
+        const summary = new Map(targets.map(target => [target.npcName, {
+            npc: target.npcName,
+            turns: 0,
+            failures: 0,
+            left: false,
+            leftInRound: null,
+            lastLine: null,
+            error: target.error ? target.error.message : null,
+        }]));
+
+        let participants = targets.filter(target => !target.error);
+        const transcript = [];
+        let endedBy = 'round_cap';
+        let completedRounds = 0;
+
+        conversation:
+        for (let round = 1; round <= maxRounds; round++) {
+            if (participants.length < 2) {
+                endedBy = 'not_enough_participants';
+                break;
+            }
+
+            let roundSuccesses = 0;
+
+            for (const target of [...participants]) {
+                if (signal.aborted) {
+                    endedBy = 'aborted';
+                    break conversation;
+                }
+
+                const turnSituation = buildConversationTurnSituation(
+                    situation,
+                    transcript,
+                    target.npcName,
+                    participants.map(p => p.npcName)
+                );
+
+                const result = await executeNPCRequest(
+                    target.npcName, target.resolved, turnSituation, format, correlationId, signal, job
+                );
+                const stats = summary.get(target.npcName);
+
+                if (!result.success) {
+                    if (result.error === 'Aborted' && signal.aborted) {
+                        endedBy = 'aborted';
+                        break conversation;
+                    }
+                    if (result.error === 'Aborted') {
+                        // Only this NPC was stopped; the others carry on without them
+                        stats.error = 'Stopped by user';
+                        participants = participants.filter(p => p !== target);
+                        continue;
+                    }
+                    stats.failures += 1;
+                    stats.error = result.error;
+                    continue;
+                }
+
+                roundSuccesses += 1;
+
+                const leaves = result.response.includes(CONVERSATION_EXIT_MARKER);
+                const response = result.response.split(CONVERSATION_EXIT_MARKER).join('').trim();
+
+                transcript.push({ round, npc: target.npcName, response });
+                stats.turns += 1;
+                stats.lastLine = response;
+
+                if (leaves) {
+                    stats.left = true;
+                    stats.leftInRound = round;
+                    participants = participants.filter(p => p !== target);
+
+                    logger.debug({
+                        event: 'conversation_npc_left',
+                        npc: target.npcName,
+                        round,
+                    }, correlationId);
+
+                    if (endCondition === 'npc_leaves') {
+                        completedRounds = round;
+                        endedBy = 'npc_left';
+                        break conversation;
+                    }
+                }
+
+                if (endCondition === 'stop_phrase' && stopPhrase && response.toLowerCase().includes(stopPhrase)) {
+                    completedRounds = round;
+                    endedBy = 'stop_phrase';
+                    break conversation;
+                }
+            }
+
+            completedRounds = round;
+
+            if (roundSuccesses === 0) {
+                endedBy = 'all_failed';
+                break;
+            }
+        }
+
+        const summaryList = [...summary.values()];
+        noteWitnesses(summaryList.filter(entry => entry.turns > 0).map(entry => entry.npc));
+        const markdown = formatConversationMarkdown(transcript, summaryList, endedBy);
+
+        logger.info({
+            event: 'conversation_complete',
+            rounds: completedRounds,
+            lines: transcript.length,
+            endedBy,
+        }, correlationId);
+
+        return {
+            transcript,
+            summary: summaryList,
+            rounds: completedRounds,
+            endedBy,
+            markdown,
+            jobId: job.id,
+            correlationId,
+        };
+    });
+}
+
+/**
+ * Format a conversation transcript and summary as markdown for the GM.
+ *
+ * @param {Array<{round: number, npc: string, response: string}>} transcript - Spoken lines
+ * @param {Array<Object>} summary - Per-NPC summary entries
+ * @param {string} endedBy - Why the conversation ended
+ * @returns {string} Formatted markdown
+ */
+function formatConversationMarkdown(transcript, summary, endedBy) {
+    const END_REASONS = {
+        round_cap: 'Round limit reached.',
+        npc_left: 'An NPC left the conversation.',
+        stop_phrase: 'Stop phrase was spoken.',
+        not_enough_participants: 'Fewer than two NPCs remained.',
+        all_failed: 'Every NPC failed to respond in a round.',
+        aborted: 'Stopped by user.',
     };
+
+    let markdown = '## NPC Conversation\n\n';
+    let currentRound = 0;
+
+    for (const line of transcript) {
+        if (line.round !== currentRound) {
+            currentRound = line.round;
+            markdown += `### Round ${currentRound}\n\n`;
+        }
+        markdown += `**${line.npc}:** ${line.response}\n\n`;
+    }
+
+    if (transcript.length === 0) {
+        markdown += '*No lines were spoken.*\n\n';
+    }
+
+    markdown += '## Summary\n\n';
+    for (const entry of summary) {
+        const parts = [`${entry.turns} turn${entry.turns !== 1 ? 's' : ''}`];
+        if (entry.left) {
+            parts.push(`left in round ${entry.leftInRound}`);
+        }
+        if (entry.failures > 0) {
+            parts.push(`${entry.failures} failed turn${entry.failures !== 1 ? 's' : ''}`);
+        }
+        if (entry.turns === 0 && entry.error) {
+            parts.push(`error: ${entry.error}`);
+        }
+        markdown += `- **${entry.npc}**: ${parts.join(', ')}\n`;
+    }
+
+    markdown += `\n*Conversation ended: ${END_REASONS[endedBy] || endedBy}*`;
+
+    return markdown.trim();
 }
 
 /**
@@ -400,7 +942,8 @@ export function getSceneCharacters() {
  * @param {Object} params - Query parameters
  * @param {string} params.npc_id - NPC character name
  * @param {string} params.topic - Topic to query about
- * @returns {Promise<Object>} Result with relevant knowledge entries
+ * @returns {Promise<Object>} Result with relevant knowledge entries, best match
+ *          first, each `{content, type, score}` where type is one of KNOWLEDGE_TYPES
  */
 export async function queryNPCKnowledge({ npc_id, topic }) {
     const correlationId = generateCorrelationId();
@@ -411,9 +954,25 @@ export async function queryNPCKnowledge({ npc_id, topic }) {
         topic: topic,
     }, correlationId);
 
-    // Find character by name
-    const characterId = findCharacterByName(npc_id);
-    if (characterId === null) {
+    // Find character by name, alias or close spelling
+    const nameMatch = await resolveName(npc_id);
+    if (nameMatch.ambiguous.length > 0) {
+        return {
+            npc: npc_id,
+            success: false,
+            knowledge: [],
+            error: createAmbiguousNameError(npc_id, nameMatch.ambiguous).message,
+            correlationId: correlationId,
+        };
+    }
+    // Resolve the NPC as a spawn would, but only if it already exists: a
+    // query never creates a character. NPCs that only hold knowledge grants
+    // are queried as virtual characters without being stored.
+    const knownName = nameMatch.match?.name ||
+        (await findLorebookCharacter(npc_id))?.name ||
+        (findCharacterByName(npc_id) !== null ? npc_id : null);
+    const hasGrants = !knownName && getGrants(npc_id).length > 0;
+    if (!knownName && !hasGrants) {
         logger.warn({
             event: 'knowledge_query_failed',
             npc: npc_id,
@@ -430,18 +989,26 @@ export async function queryNPCKnowledge({ npc_id, topic }) {
     }
 
     // Get NPC's filtered context (uses knowledge hardening)
-    const context = await buildNPCContext(characterId, '');
-
-    // Use knowledgeEntries array for filtering, with defensive check
-    const entries = Array.isArray(context.knowledgeEntries)
-        ? context.knowledgeEntries
+    // Skip keyword activation and ranking: a query covers everything the NPC could know
+    const contextOptions = { activate: false, rank: false };
+    const context = knownName
+        ? await buildResolvedNPCContext(await resolveCharacter(knownName, { correlationId }), '', contextOptions)
+        : await buildVirtualNPCContext({ name: npc_id.trim(), identity: '' }, '', contextOptions);
+
+    // Use knowledgeItems for ranking, with defensive check
+    const entries = Array.isArray(context.knowledgeItems)
+        ? context.knowledgeItems
         : [];
 
-    // Search knowledge entries for topic mentions (case-insensitive)
-    const topicLower = topic.toLowerCase();
-    const relevantKnowledge = entries.filter(entry =>
-        typeof entry === 'string' && entry.toLowerCase().includes(topicLower)
-    );
+    // Rank entries by relevance to the topic (BM25 over stems, with entry
+    // keys as synonyms), keeping each match's type so the GM can tell
+    // secrets from rumors
+    const relevantKnowledge = rankKnowledge(context._meta.indexKey, entries, topic)
+        .map(({ entry, score }) => ({
+            content: (entry.content || '').trim(),
+            type: entry.knowledgeType,
+            score: Math.round(score * 100) / 100,
+        }));
 
     logger.info({
         event: 'knowledge_query_complete',
@@ -506,13 +1073,13 @@ Resolve this action.`;
     ];
 
     try {
-        // Use utility tier for Judge
+        // Judge runs on the utility tier's profile with its own sampler settings
         const profile = getProfileForTier('utility');
         const result = await directGenerate(messages, profile, {
             npcId: 'judge',
             tier: 'utility',
-            max_tokens: 300,
-            temperature: 0.3, // Low temp for consistent rulings
+            correlationId: correlationId,
+            ...getGenerationSettings('judge'),
         });
 
         // Parse the JSON response
@@ -608,13 +1175,13 @@ Audit this narrative for compliance with the verdict.`;
     ];
 
     try {
-        // Use utility tier for Guardian
+        // Guardian runs on the utility tier's profile with its own sampler settings
         const profile = getProfileForTier('utility');
         const result = await directGenerate(messages, profile, {
             npcId: 'guardian',
             tier: 'utility',
-            max_tokens: 300,
-            temperature: 0.2, // Very low temp for consistent auditing
+            correlationId: correlationId,
+            ...getGenerationSettings('guardian'),
         });
 
         // Parse the JSON response
@@ -663,17 +1230,12 @@ Audit this narrative for compliance with the verdict.`;
 }
 
 /**
- * Abort the current spawn operation if one is in progress.
+ * Abort every queued and running spawn.
  * This allows users to cancel pending NPC generation requests.
+ * Use stopJobOrNpc() from jobs.js to stop a single job or NPC.
  *
  * @returns {boolean} True if an active spawn was aborted, false if none was active
  */
 export function abortCurrentSpawn() {
-    if (currentAbortController) {
-        currentAbortController.abort();
-        logger.info({ event: 'spawn_aborted_by_user' });
-        currentAbortController = null;
-        return true;
-    }
-    return false;
+    return stopAllJobs() > 0;
 }
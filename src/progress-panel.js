@@ -0,0 +1,183 @@
+/**
+ * Live progress panel for NPC generation
+ *
+ * Shows a floating panel with one card per in-flight NPC request:
+ * - NPC name, tier and the profile currently serving it
+ * - Elapsed time
+ * - Streamed text as it arrives
+ * - A cancel button that aborts only that NPC
+ *
+ * Finished cards linger briefly, then the panel removes itself once empty.
+ *
+ * @module progress-panel
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * How long a finished card stays visible (ms).
+ * @type {number}
+ */
+const FINISHED_CARD_LINGER_MS = 4000;
+
+/**
+ * Elapsed-time refresh interval (ms).
+ * @type {number}
+ */
+const ELAPSED_TICK_MS = 250;
+
+/**
+ * Active cards by id, for the shared elapsed-time ticker.
+ * @type {Map<string, {element: jQuery, startTime: number}>}
+ */
+const activeCards = new Map();
+
+/**
+ * Shared interval handle for updating elapsed times.
+ * @type {number|null}
+ */
+let tickHandle = null;
+
+/**
+ * Counter for card ids.
+ * @type {number}
+ */
+let nextCardId = 1;
+
+/**
+ * Get the panel element, creating it if needed.
+ * @returns {jQuery} Panel element
+ */
+function ensurePanel() {
+    let panel = $('#ensemble-progress-panel');
+    if (panel.length === 0) {
+        panel = $(`
+            <div id="ensemble-progress-panel">
+                <div class="ensemble-progress-header">
+                    <span>Ensemble</span>
+                </div>
+                <div class="ensemble-progress-list"></div>
+            </div>
+        `);
+        $('body').append(panel);
+    }
+    return panel;
+}
+
+/**
+ * Remove the panel if it has no cards left.
+ */
+function removePanelIfEmpty() {
+    const panel = $('#ensemble-progress-panel');
+    if (panel.length && panel.find('.ensemble-progress-card').length === 0) {
+        panel.remove();
+    }
+}
+
+/**
+ * Format milliseconds as seconds with one decimal.
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "3.2s"
+ */
+function formatElapsed(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Start the shared elapsed-time ticker if it is not running.
+ */
+function startTicker() {
+    if (tickHandle !== null) return;
+
+    tickHandle = setInterval(() => {
+        const now = Date.now();
+        for (const { element, startTime } of activeCards.values()) {
+            element.find('.ensemble-progress-elapsed').text(formatElapsed(now - startTime));
+        }
+        if (activeCards.size === 0) {
+            clearInterval(tickHandle);
+            tickHandle = null;
+        }
+    }, ELAPSED_TICK_MS);
+}
+
+/**
+ * Create a progress card for one NPC request.
+ *
+ * @param {Object} options - Card options
+ * @param {string} options.npc - NPC name
+ * @param {string} options.tier - Tier serving the request
+ * @param {Function} [options.onCancel] - Called when the user cancels this NPC
+ * @returns {{setProfile: Function, update: Function, finish: Function}} Card handle
+ */
+export function createProgressCard({ npc, tier, onCancel }) {
+    const id = `ensemble-progress-${nextCardId++}`;
+    const startTime = Date.now();
+
+    const element = $(`
+        <div class="ensemble-progress-card" id="${id}">
+            <div class="ensemble-progress-card-header">
+                <span class="ensemble-progress-npc"></span>
+                <span class="ensemble-progress-tier tier-source-badge"></span>
+                <span class="ensemble-progress-profile"></span>
+                <span class="ensemble-progress-elapsed">0.0s</span>
+                <i class="ensemble-progress-cancel fa-solid fa-stop" title="Cancel this NPC"></i>
+            </div>
+            <div class="ensemble-progress-text"></div>
+        </div>
+    `);
+
+    element.find('.ensemble-progress-npc').text(npc);
+    element.find('.ensemble-progress-tier').text(tier || '');
+    element.find('.ensemble-progress-profile').text('waiting…');
+    element.find('.ensemble-progress-cancel').on('click', () => {
+        logger.debug({ event: 'progress_card_cancelled', npc });
+        onCancel?.();
+    });
+
+    ensurePanel().find('.ensemble-progress-list').append(element);
+    activeCards.set(id, { element, startTime });
+    startTicker();
+
+    return {
+        /**
+         * Show which profile is serving the request (changes on fallback).
+         * @param {string} profileName - Profile name
+         */
+        setProfile(profileName) {
+            element.find('.ensemble-progress-profile').text(profileName);
+        },
+
+        /**
+         * Replace the streamed text shown on the card.
+         * @param {string} text - Full text received so far
+         */
+        update(text) {
+            const textElement = element.find('.ensemble-progress-text');
+            textElement.text(text);
+            textElement.scrollTop(textElement.prop('scrollHeight'));
+        },
+
+        /**
+         * Mark the card finished and schedule its removal.
+         * @param {{success: boolean, error?: string|null}} outcome - Request outcome
+         */
+        finish({ success, error = null }) {
+            if (!activeCards.has(id)) return;
+            activeCards.delete(id);
+
+            const aborted = error === 'Aborted';
+            element.addClass(success ? 'done' : (aborted ? 'cancelled' : 'failed'));
+            element.find('.ensemble-progress-elapsed').text(formatElapsed(Date.now() - startTime));
+            element.find('.ensemble-progress-cancel').remove();
+            if (!success) {
+                element.find('.ensemble-progress-text').text(aborted ? 'Cancelled' : (error || 'Failed'));
+            }
+
+            setTimeout(() => {
+                element.remove();
+                removePanelIfEmpty();
+            }, FINISHED_CARD_LINGER_MS);
+        },
+    };
+}
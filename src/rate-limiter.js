@@ -1,9 +1,16 @@
 /**
  * Rate limiter for SillyTavern-Ensemble extension.
- * Tracks 429 errors per backend profile with exponential backoff.
+ * Tracks 429 errors per backend profile with exponential backoff, and
+ * runs a per-profile circuit breaker for 5xx and network failures.
+ * Rate-limit state is persisted to localStorage and shared live with other
+ * tabs, so a reload or a second tab respects the same backoff.
+ * Configured per-profile RPM/TPM quotas are enforced up front with token
+ * buckets, so requests are held back before the provider answers 429.
  * @module rate-limiter
  */
 
+import { logger } from './logger.js';
+
 /** @type {Map<string, {isLimited: boolean, nextAttemptTime: number, consecutiveErrors: number}>} */
 const rateLimitState = new Map();
 
@@ -16,6 +23,9 @@ const MAX_DELAY_MS = 300000;
 /** Time after which consecutive errors decay/reset (1 hour) */
 const DECAY_THRESHOLD_MS = 3600000;
 
+/** Longest provider-announced wait that is honored exactly (1 hour) */
+const MAX_PROVIDER_DELAY_MS = 3600000;
+
 /**
  * Gets the current state for a profile, creating default if not exists.
  * @param {string} profileName - The profile name to look up
@@ -70,10 +80,13 @@ export function checkRateLimit(profileName) {
     }
 
     const retryIn = state.nextAttemptTime - now;
+    const cause = state.consecutiveErrors > 0
+        ? `${state.consecutiveErrors} consecutive errors`
+        : 'provider reported no capacity left';
     return {
         isLimited: true,
         retryIn,
-        reason: `Rate limited. Retry in ${Math.ceil(retryIn / 1000)} seconds (${state.consecutiveErrors} consecutive errors)`,
+        reason: `Rate limited. Retry in ${Math.ceil(retryIn / 1000)} seconds (${cause})`,
     };
 }
 
@@ -83,18 +96,29 @@ export function checkRateLimit(profileName) {
  */
 export function recordSuccess(profileName) {
     const state = getState(profileName);
+    const hadErrors = state.consecutiveErrors > 0 || state.nextAttemptTime > 0;
+
     state.consecutiveErrors = 0;
     state.isLimited = false;
     state.nextAttemptTime = 0;
+
+    // Only a recovery is news to other tabs
+    if (hadErrors) {
+        persistRateLimits();
+        broadcastRateLimit({ type: 'success', profile: profileName });
+    }
 }
 
 /**
  * Records a rate limit (429) error for a profile.
+ * A reset time announced by the provider is used as-is (up to an hour);
+ * otherwise the profile backs off exponentially.
  * @param {string} profileName - The profile name that was rate limited
- * @param {string|number|null} [retryAfterHeader] - Optional Retry-After header value (seconds)
+ * @param {string|number|null} [retryAfterHeader] - Optional Retry-After value (seconds or HTTP-date)
+ * @param {number|null} [resetAt] - Optional exact time (epoch ms) the provider said the limit resets
  * @returns {{retryIn: number, nextAttemptTime: number}}
  */
-export function recordRateLimit(profileName, retryAfterHeader = null) {
+export function recordRateLimit(profileName, retryAfterHeader = null, resetAt = null) {
     const state = getState(profileName);
     const now = Date.now();
 
@@ -103,32 +127,60 @@ export function recordRateLimit(profileName, retryAfterHeader = null) {
 
     let retryIn;
 
-    if (retryAfterHeader !== null && retryAfterHeader !== undefined) {
-        // Use Retry-After header if provided (convert seconds to ms)
-        const headerValue = typeof retryAfterHeader === 'string'
-            ? parseInt(retryAfterHeader, 10)
-            : retryAfterHeader;
-
-        if (!isNaN(headerValue) && headerValue > 0) {
-            retryIn = headerValue * 1000;
-        } else {
-            retryIn = calculateBackoff(state.consecutiveErrors);
-        }
+    if (resetAt !== null && resetAt > now) {
+        retryIn = Math.min(resetAt - now, MAX_PROVIDER_DELAY_MS);
     } else {
-        retryIn = calculateBackoff(state.consecutiveErrors);
+        const retryAfterMs = parseRetryAfter(retryAfterHeader, now);
+        retryIn = retryAfterMs !== null
+            ? Math.min(retryAfterMs, MAX_PROVIDER_DELAY_MS)
+            : calculateBackoff(state.consecutiveErrors);
     }
 
-    // Cap at maximum delay
-    retryIn = Math.min(retryIn, MAX_DELAY_MS);
-
     state.nextAttemptTime = now + retryIn;
 
+    persistRateLimits();
+    broadcastRateLimit({
+        type: 'rate_limited',
+        profile: profileName,
+        nextAttemptTime: state.nextAttemptTime,
+        consecutiveErrors: state.consecutiveErrors,
+    });
+
     return {
         retryIn,
         nextAttemptTime: state.nextAttemptTime,
     };
 }
 
+/**
+ * Marks a profile limited until a reset time without counting an error.
+ * Used when a successful response reports that no capacity is left.
+ * @param {string} profileName - The profile name
+ * @param {number} resetAt - When capacity returns (epoch ms)
+ * @returns {{retryIn: number, nextAttemptTime: number}|null} The limit, or null if resetAt has passed
+ */
+export function recordExhausted(profileName, resetAt) {
+    const state = getState(profileName);
+    const now = Date.now();
+
+    if (!(resetAt > now)) {
+        return null;
+    }
+
+    state.isLimited = true;
+    state.nextAttemptTime = Math.max(state.nextAttemptTime, now + Math.min(resetAt - now, MAX_PROVIDER_DELAY_MS));
+
+    persistRateLimits();
+    broadcastRateLimit({
+        type: 'rate_limited',
+        profile: profileName,
+        nextAttemptTime: state.nextAttemptTime,
+        consecutiveErrors: state.consecutiveErrors,
+    });
+
+    return { retryIn: state.nextAttemptTime - now, nextAttemptTime: state.nextAttemptTime };
+}
+
 /**
  * Checks if all provided profiles are currently rate limited.
  * Used for graceful degradation check.
@@ -152,13 +204,21 @@ export function allProfilesLimited(configuredProfiles) {
  */
 export function clearRateLimit(profileName) {
     rateLimitState.delete(profileName);
+    breakerState.delete(profileName);
+    quotaState.delete(profileName);
+    persistRateLimits();
+    broadcastRateLimit({ type: 'clear', profile: profileName });
 }
 
 /**
- * Clears all rate limit state.
+ * Clears all rate limit and circuit breaker state.
  */
 export function clearAllRateLimits() {
     rateLimitState.clear();
+    breakerState.clear();
+    quotaState.clear();
+    persistRateLimits();
+    broadcastRateLimit({ type: 'clear', profile: null });
 }
 
 /**
@@ -177,3 +237,578 @@ export function _getStateForTesting() {
 export function getRateLimitState() {
     return rateLimitState;
 }
+
+// =============================================================================
+// Provider Rate-Limit Headers
+// =============================================================================
+
+/**
+ * Header names for remaining capacity and reset times, by provider family.
+ * OpenAI and Groq use x-ratelimit-*-requests/-tokens, Anthropic uses
+ * anthropic-ratelimit-*, OpenRouter uses plain x-ratelimit-remaining/-reset.
+ */
+const REQUEST_LIMIT_HEADERS = Object.freeze({
+    remaining: ['x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining', 'x-ratelimit-remaining'],
+    reset: ['x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset', 'x-ratelimit-reset'],
+});
+
+const TOKEN_LIMIT_HEADERS = Object.freeze({
+    remaining: [
+        'x-ratelimit-remaining-tokens',
+        'anthropic-ratelimit-tokens-remaining',
+        'anthropic-ratelimit-input-tokens-remaining',
+        'anthropic-ratelimit-output-tokens-remaining',
+    ],
+    reset: [
+        'x-ratelimit-reset-tokens',
+        'anthropic-ratelimit-tokens-reset',
+        'anthropic-ratelimit-input-tokens-reset',
+        'anthropic-ratelimit-output-tokens-reset',
+    ],
+});
+
+/**
+ * Parses a Retry-After value: delay in seconds or an HTTP-date.
+ * @param {string|number|null} value - Header value
+ * @param {number} [now=Date.now()] - Current time (epoch ms)
+ * @returns {number|null} Delay in milliseconds, or null if unusable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const seconds = parseFloat(text);
+        return seconds > 0 ? Math.ceil(seconds * 1000) : null;
+    }
+
+    const date = Date.parse(text);
+    if (!isNaN(date) && date > now) {
+        return date - now;
+    }
+    return null;
+}
+
+/**
+ * Parses a rate-limit reset value into an absolute time. Accepts
+ * durations ("1s", "6m0s", "2m59.56s", "20ms"), epoch timestamps in
+ * seconds or milliseconds, plain seconds, and ISO/HTTP dates.
+ * @param {string|null} value - Header value
+ * @param {number} [now=Date.now()] - Current time (epoch ms)
+ * @returns {number|null} Reset time (epoch ms), or null if unusable
+ */
+export function parseResetTime(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = parseFloat(text);
+        if (number > 1e12) return number;           // epoch ms (OpenRouter)
+        if (number > 1e9) return number * 1000;     // epoch seconds
+        return now + Math.ceil(number * 1000);      // seconds from now
+    }
+
+    const duration = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+    if (duration && duration.slice(1).some(part => part !== undefined)) {
+        const [hours, minutes, seconds, ms] = duration.slice(1).map(part => parseFloat(part || '0'));
+        return now + Math.ceil(((hours * 60 + minutes) * 60 + seconds) * 1000 + ms);
+    }
+
+    const date = Date.parse(text);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Reads the lowest remaining count and latest reset time for one limit.
+ * @param {Headers} headers - Response headers
+ * @param {{remaining: string[], reset: string[]}} names - Header names to read
+ * @param {number} now - Current time (epoch ms)
+ * @returns {{remaining: number|null, resetAt: number|null}}
+ */
+function readLimitFamily(headers, names, now) {
+    let remaining = null;
+    let resetAt = null;
+
+    for (const name of names.remaining) {
+        const value = parseFloat(headers.get(name));
+        if (!isNaN(value)) {
+            remaining = remaining === null ? value : Math.min(remaining, value);
+        }
+    }
+    for (const name of names.reset) {
+        const value = parseResetTime(headers.get(name), now);
+        if (value !== null) {
+            resetAt = resetAt === null ? value : Math.max(resetAt, value);
+        }
+    }
+
+    return { remaining, resetAt };
+}
+
+/**
+ * Reads provider rate-limit headers from a response.
+ * @param {Headers|null} headers - Response headers
+ * @param {number} [now=Date.now()] - Current time (epoch ms)
+ * @returns {{retryAt: number|null, requests: {remaining: number|null, resetAt: number|null}, tokens: {remaining: number|null, resetAt: number|null}}}
+ */
+export function readRateLimitHeaders(headers, now = Date.now()) {
+    const empty = { remaining: null, resetAt: null };
+    if (!headers || typeof headers.get !== 'function') {
+        return { retryAt: null, requests: empty, tokens: empty };
+    }
+
+    // retry-after-ms (OpenAI) is more precise than Retry-After
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    const retryAfter = retryAfterMs > 0 ? retryAfterMs : parseRetryAfter(headers.get('retry-after'), now);
+
+    return {
+        retryAt: retryAfter !== null && !isNaN(retryAfter) ? now + retryAfter : null,
+        requests: readLimitFamily(headers, REQUEST_LIMIT_HEADERS, now),
+        tokens: readLimitFamily(headers, TOKEN_LIMIT_HEADERS, now),
+    };
+}
+
+/**
+ * Gets when a profile's capacity returns if the headers say it has none left.
+ * @param {ReturnType<typeof readRateLimitHeaders>} limits - Parsed headers
+ * @returns {number|null} Reset time (epoch ms), or null if capacity remains or the reset is unknown
+ */
+export function getExhaustedUntil(limits) {
+    let until = null;
+    for (const family of [limits.requests, limits.tokens]) {
+        if (family.remaining !== null && family.remaining <= 0 && family.resetAt !== null) {
+            until = until === null ? family.resetAt : Math.max(until, family.resetAt);
+        }
+    }
+    return until;
+}
+
+/**
+ * Extracts the retry delay from a Gemini error body, either the RetryInfo
+ * detail (`"retryDelay": "37s"`) or the message ("Please retry in 37.5s").
+ * @param {string} body - Error response body
+ * @returns {number|null} Delay in milliseconds, or null if none found
+ */
+export function parseGeminiRetryDelay(body) {
+    if (!body) {
+        return null;
+    }
+
+    const match = String(body).match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/)
+        || String(body).match(/retry in (\d+(?:\.\d+)?)\s*s/i);
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+// =============================================================================
+// Persistence & Cross-Tab Sync
+// =============================================================================
+
+/** localStorage key for persisted rate-limit state */
+const STORAGE_KEY = 'ensemble_rate_limits';
+
+/** BroadcastChannel name shared by all tabs */
+const CHANNEL_NAME = 'ensemble-rate-limits';
+
+/** @type {BroadcastChannel|null} */
+let syncChannel = null;
+
+/**
+ * Saves rate-limit state to localStorage. Profiles with nothing to
+ * remember are left out; each entry expires once its error count would
+ * have decayed anyway.
+ */
+function persistRateLimits() {
+    if (typeof localStorage === 'undefined') {
+        return;
+    }
+
+    const profiles = {};
+    for (const [profileName, state] of rateLimitState.entries()) {
+        if (state.nextAttemptTime > Date.now() || (state.consecutiveErrors > 0 && state.nextAttemptTime > 0)) {
+            profiles[profileName] = {
+                nextAttemptTime: state.nextAttemptTime,
+                consecutiveErrors: state.consecutiveErrors,
+                expiresAt: state.nextAttemptTime + DECAY_THRESHOLD_MS,
+            };
+        }
+    }
+
+    try {
+        if (Object.keys(profiles).length === 0) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles }));
+        }
+    } catch (error) {
+        logger.debug({ event: 'rate_limit_persist_failed', error: error.message });
+    }
+}
+
+/**
+ * Merges another tab's (or a saved) rate limit into local state, keeping
+ * whichever backoff ends later.
+ * @param {string} profileName - The profile name
+ * @param {number} nextAttemptTime - When the profile may be tried again
+ * @param {number} consecutiveErrors - Consecutive 429s seen for the profile
+ */
+function mergeRateLimit(profileName, nextAttemptTime, consecutiveErrors) {
+    const state = getState(profileName);
+    if (nextAttemptTime > state.nextAttemptTime) {
+        state.nextAttemptTime = nextAttemptTime;
+        state.isLimited = nextAttemptTime > Date.now();
+    }
+    state.consecutiveErrors = Math.max(state.consecutiveErrors, consecutiveErrors || 0);
+}
+
+/**
+ * Restores rate-limit state saved by this or another tab, dropping
+ * expired entries.
+ * @returns {number} Number of profiles restored
+ */
+export function loadRateLimits() {
+    if (typeof localStorage === 'undefined') {
+        return 0;
+    }
+
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    } catch {
+        saved = null;
+    }
+
+    const now = Date.now();
+    let restored = 0;
+    for (const [profileName, entry] of Object.entries(saved?.profiles || {})) {
+        if (!entry || entry.expiresAt <= now) {
+            continue;
+        }
+        mergeRateLimit(profileName, entry.nextAttemptTime, entry.consecutiveErrors);
+        restored++;
+    }
+    return restored;
+}
+
+/**
+ * Sends a rate-limit change to the other tabs.
+ * @param {Object} message - Change message
+ */
+function broadcastRateLimit(message) {
+    try {
+        syncChannel?.postMessage(message);
+    } catch (error) {
+        logger.debug({ event: 'rate_limit_broadcast_failed', error: error.message });
+    }
+}
+
+/**
+ * Applies a rate-limit change received from another tab.
+ * @param {{type: string, profile: string|null, nextAttemptTime?: number, consecutiveErrors?: number}} message - Change message
+ */
+function handleSyncMessage(message) {
+    if (!message || typeof message !== 'object') {
+        return;
+    }
+
+    if (message.type === 'rate_limited' && message.profile) {
+        mergeRateLimit(message.profile, message.nextAttemptTime, message.consecutiveErrors);
+        logger.debug({ event: 'rate_limit_synced', profile: message.profile });
+    } else if (message.type === 'success' && message.profile) {
+        const state = getState(message.profile);
+        state.consecutiveErrors = 0;
+        state.isLimited = false;
+        state.nextAttemptTime = 0;
+    } else if (message.type === 'clear') {
+        if (message.profile) {
+            rateLimitState.delete(message.profile);
+        } else {
+            rateLimitState.clear();
+        }
+    }
+}
+
+/**
+ * Restores persisted rate limits and starts listening for other tabs.
+ * Safe to call more than once.
+ * @returns {{restored: number, shared: boolean}} Profiles restored and whether live sync is available
+ */
+export function initRateLimitSync() {
+    const restored = loadRateLimits();
+
+    if (!syncChannel && typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(CHANNEL_NAME);
+        syncChannel.onmessage = event => handleSyncMessage(event.data);
+    }
+
+    logger.debug({ event: 'rate_limit_sync_started', restored, shared: !!syncChannel });
+    return { restored, shared: !!syncChannel };
+}
+
+/**
+ * Stops listening for other tabs.
+ */
+export function stopRateLimitSync() {
+    syncChannel?.close();
+    syncChannel = null;
+}
+
+// =============================================================================
+// Circuit Breaker
+// =============================================================================
+
+/**
+ * Per-profile circuit breaker state.
+ * - closed: requests flow normally; consecutive failures are counted
+ * - open: requests are refused until the cooldown passes
+ * - half_open: one probe request is let through; success closes, failure re-opens
+ * @type {Map<string, {state: string, failures: number, trips: number, openUntil: number, probeInFlight: boolean}>}
+ */
+const breakerState = new Map();
+
+/** Consecutive 5xx/network failures that open the breaker */
+const BREAKER_FAILURE_THRESHOLD = 3;
+
+/** Cooldown before the first probe, doubled on each re-trip */
+const BREAKER_BASE_COOLDOWN_MS = 30000;
+
+/** Maximum breaker cooldown (5 minutes) */
+const BREAKER_MAX_COOLDOWN_MS = 300000;
+
+/**
+ * Gets the breaker for a profile, creating a closed one if not exists.
+ * @param {string} profileName - The profile name to look up
+ * @returns {{state: string, failures: number, trips: number, openUntil: number, probeInFlight: boolean}}
+ */
+function getBreaker(profileName) {
+    if (!breakerState.has(profileName)) {
+        breakerState.set(profileName, {
+            state: 'closed',
+            failures: 0,
+            trips: 0,
+            openUntil: 0,
+            probeInFlight: false,
+        });
+    }
+    return breakerState.get(profileName);
+}
+
+/**
+ * Checks whether a request may be sent to a profile, claiming the probe
+ * slot if the breaker is ready for a half-open probe.
+ * Callers that get `allowed: true` must later call recordBreakerSuccess(),
+ * recordBreakerFailure() or releaseBreakerProbe().
+ * @param {string} profileName - The profile name to check
+ * @returns {{allowed: boolean, state: string, retryIn: number|null}}
+ */
+export function checkBreaker(profileName) {
+    const breaker = getBreaker(profileName);
+    const now = Date.now();
+
+    if (breaker.state === 'open' && now >= breaker.openUntil) {
+        breaker.state = 'half_open';
+    }
+
+    if (breaker.state === 'closed') {
+        return { allowed: true, state: 'closed', retryIn: null };
+    }
+
+    if (breaker.state === 'half_open' && !breaker.probeInFlight) {
+        breaker.probeInFlight = true;
+        return { allowed: true, state: 'half_open', retryIn: null };
+    }
+
+    return {
+        allowed: false,
+        state: breaker.state,
+        retryIn: breaker.state === 'open' ? breaker.openUntil - now : null,
+    };
+}
+
+/**
+ * Checks whether a profile's breaker is refusing requests, without
+ * claiming a probe. A breaker ready to probe counts as available.
+ * @param {string} profileName - The profile name to check
+ * @returns {boolean} True if requests to the profile would be refused
+ */
+export function isCircuitOpen(profileName) {
+    const breaker = breakerState.get(profileName);
+    if (!breaker || breaker.state === 'closed') {
+        return false;
+    }
+    if (breaker.state === 'open') {
+        return Date.now() < breaker.openUntil;
+    }
+    return breaker.probeInFlight;
+}
+
+/**
+ * Records a successful request, closing the breaker.
+ * @param {string} profileName - The profile name that succeeded
+ */
+export function recordBreakerSuccess(profileName) {
+    const breaker = getBreaker(profileName);
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.trips = 0;
+    breaker.openUntil = 0;
+    breaker.probeInFlight = false;
+}
+
+/**
+ * Records a 5xx or network failure. Opens the breaker once the threshold
+ * is reached, or immediately if the failure was a half-open probe.
+ * @param {string} profileName - The profile name that failed
+ * @returns {{state: string, failures: number, retryIn: number|null}}
+ */
+export function recordBreakerFailure(profileName) {
+    const breaker = getBreaker(profileName);
+    const wasProbe = breaker.state === 'half_open';
+
+    breaker.failures += 1;
+    breaker.probeInFlight = false;
+
+    if (wasProbe || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+        const cooldown = Math.min(BREAKER_BASE_COOLDOWN_MS * Math.pow(2, breaker.trips), BREAKER_MAX_COOLDOWN_MS);
+        breaker.trips += 1;
+        breaker.state = 'open';
+        breaker.openUntil = Date.now() + cooldown;
+        return { state: 'open', failures: breaker.failures, retryIn: cooldown };
+    }
+
+    return { state: breaker.state, failures: breaker.failures, retryIn: null };
+}
+
+/**
+ * Releases a claimed probe slot without recording an outcome (e.g. the
+ * request was aborted or failed for a reason unrelated to profile health).
+ * @param {string} profileName - The profile name
+ */
+export function releaseBreakerProbe(profileName) {
+    const breaker = breakerState.get(profileName);
+    if (breaker) {
+        breaker.probeInFlight = false;
+    }
+}
+
+/**
+ * Gets the circuit breaker state map for status display.
+ * @returns {Map<string, {state: string, failures: number, trips: number, openUntil: number, probeInFlight: boolean}>}
+ */
+export function getBreakerState() {
+    return breakerState;
+}
+
+// =============================================================================
+// Quota Buckets
+// =============================================================================
+
+/**
+ * Per-profile token buckets for configured quotas. Each bucket holds up to
+ * a minute's allowance and refills continuously.
+ * @type {Map<string, {requests: number, tokens: number, updatedAt: number}>}
+ */
+const quotaState = new Map();
+
+/** Window the RPM/TPM quotas are measured over */
+const QUOTA_WINDOW_MS = 60000;
+
+/**
+ * Gets a profile's buckets refilled up to now, creating full ones if needed.
+ * @param {string} profileName - The profile name
+ * @param {{rpm: number, tpm: number}} limits - Requests and tokens per minute (0 = unlimited)
+ * @returns {{requests: number, tokens: number, updatedAt: number}}
+ */
+function refillQuota(profileName, limits) {
+    const now = Date.now();
+    let bucket = quotaState.get(profileName);
+
+    if (!bucket) {
+        bucket = { requests: limits.rpm, tokens: limits.tpm, updatedAt: now };
+        quotaState.set(profileName, bucket);
+        return bucket;
+    }
+
+    const elapsed = now - bucket.updatedAt;
+    bucket.requests = Math.min(limits.rpm, bucket.requests + (elapsed * limits.rpm) / QUOTA_WINDOW_MS);
+    bucket.tokens = Math.min(limits.tpm, bucket.tokens + (elapsed * limits.tpm) / QUOTA_WINDOW_MS);
+    bucket.updatedAt = now;
+    return bucket;
+}
+
+/**
+ * Takes one request and `tokens` tokens from a profile's quota if both
+ * buckets have room. A request larger than the whole token quota is let
+ * through once the bucket is full, so it is delayed rather than refused.
+ * @param {string} profileName - The profile name
+ * @param {number} tokens - Estimated tokens (prompt plus response)
+ * @param {{rpm: number, tpm: number}} limits - Requests and tokens per minute (0 = unlimited)
+ * @returns {{allowed: boolean, waitMs: number, reason: string|null, reservedTokens: number}}
+ *          Decision; `reservedTokens` is what was taken from the bucket, to pass to settleQuota()
+ */
+export function reserveQuota(profileName, tokens, limits) {
+    const rpm = limits?.rpm > 0 ? limits.rpm : 0;
+    const tpm = limits?.tpm > 0 ? limits.tpm : 0;
+    if (!rpm && !tpm) {
+        return { allowed: true, waitMs: 0, reason: null, reservedTokens: 0 };
+    }
+
+    const bucket = refillQuota(profileName, { rpm, tpm });
+    const tokenCost = Math.min(tokens, tpm);
+    let waitMs = 0;
+    let reason = null;
+
+    if (rpm && bucket.requests < 1) {
+        waitMs = Math.ceil(((1 - bucket.requests) * QUOTA_WINDOW_MS) / rpm);
+        reason = `${rpm} requests/min`;
+    }
+    if (tpm && bucket.tokens < tokenCost) {
+        const tokenWait = Math.ceil(((tokenCost - bucket.tokens) * QUOTA_WINDOW_MS) / tpm);
+        if (tokenWait > waitMs) {
+            waitMs = tokenWait;
+            reason = `${tpm} tokens/min`;
+        }
+    }
+
+    if (waitMs > 0) {
+        return { allowed: false, waitMs, reason, reservedTokens: 0 };
+    }
+
+    if (rpm) bucket.requests -= 1;
+    if (tpm) bucket.tokens -= tokenCost;
+    return { allowed: true, waitMs: 0, reason: null, reservedTokens: tpm ? tokenCost : 0 };
+}
+
+/**
+ * Corrects a reservation once the real token count is known. The bucket
+ * may go negative if the request used more than estimated.
+ * @param {string} profileName - The profile name
+ * @param {number} reservedTokens - Tokens taken by reserveQuota()
+ * @param {number} actualTokens - Tokens actually used (0 if the request produced nothing)
+ */
+export function settleQuota(profileName, reservedTokens, actualTokens) {
+    const bucket = quotaState.get(profileName);
+    if (bucket) {
+        bucket.tokens += reservedTokens - actualTokens;
+    }
+}
+
+/**
+ * Gets a profile's remaining quota for status display.
+ * @param {string} profileName - The profile name
+ * @param {{rpm: number, tpm: number}} limits - Requests and tokens per minute (0 = unlimited)
+ * @returns {{requests: number|null, tokens: number|null}} Remaining requests and tokens (null when unlimited)
+ */
+export function getQuotaRemaining(profileName, limits) {
+    const rpm = limits?.rpm > 0 ? limits.rpm : 0;
+    const tpm = limits?.tpm > 0 ? limits.tpm : 0;
+    const bucket = refillQuota(profileName, { rpm, tpm });
+    return {
+        requests: rpm ? Math.max(0, Math.floor(bucket.requests)) : null,
+        tokens: tpm ? Math.max(0, Math.floor(bucket.tokens)) : null,
+    };
+}
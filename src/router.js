@@ -4,14 +4,40 @@
  * Handles:
  * - Dynamic tier inference based on character complexity
  * - Connection profile lookup and selection
- * - Direct API calls bypassing ST's sequential queue
+ * - Direct API calls bypassing ST's sequential queue (chat and text completion)
+ * - Client-side RPM/TPM quotas, per-tier request timeouts and hedged requests
+ * - Usage accounting and the budget cap
  * - Session tier overrides for Tier Debugger UI
  *
  * @module router
  */
 
-import { checkRateLimit, recordSuccess, recordRateLimit } from './rate-limiter.js';
+import {
+    checkRateLimit,
+    recordSuccess,
+    recordRateLimit,
+    checkBreaker,
+    isCircuitOpen,
+    recordBreakerSuccess,
+    recordBreakerFailure,
+    releaseBreakerProbe,
+    reserveQuota,
+    settleQuota,
+    recordExhausted,
+    readRateLimitHeaders,
+    getExhaustedUntil,
+    parseGeminiRetryDelay,
+} from './rate-limiter.js';
+import { getFallbackPolicy, getTierTimeouts, getQuotaSettings, getProfileQuota } from './settings.js';
 import { logger } from './logger.js';
+import { recordUsage, applyBudgetCap, formatCost, extractUsage } from './cost-tracker.js';
+import { estimateTokens } from './context.js';
+import {
+    isTextCompletionProfile,
+    getInstructTemplate,
+    renderInstructPrompt,
+    getStopStrings,
+} from './instruct.js';
 
 const MODULE_NAME = 'Ensemble';
 
@@ -23,7 +49,15 @@ const MODULE_NAME = 'Ensemble';
 const sessionTierOverrides = new Map();
 
 /**
- * Valid tier values for NPC categorization
+ * Session-only profile pins. Lost on page refresh.
+ * Key: characterId (number), Value: profile names, tried in order
+ * @type {Map<number, string[]>}
+ */
+const sessionProfilePins = new Map();
+
+/**
+ * Valid tier values for NPC categorization, from most to least capable
+ * (budget cap downgrades rely on this order)
  * @type {readonly string[]}
  */
 export const TIERS = Object.freeze(['orchestrator', 'major', 'standard', 'minor', 'utility']);
@@ -77,6 +111,71 @@ export function getSessionTierOverrides() {
     return new Map(sessionTierOverrides);
 }
 
+/**
+ * Normalize a list of pinned profile names, dropping blanks and duplicates.
+ *
+ * @param {string|string[]|null|undefined} profileNames - Profile name or names
+ * @returns {string[]} Cleaned profile names
+ */
+export function normalizeProfilePins(profileNames) {
+    const names = Array.isArray(profileNames) ? profileNames : [profileNames];
+    return [...new Set(names
+        .filter(name => typeof name === 'string')
+        .map(name => name.trim())
+        .filter(name => name.length > 0))];
+}
+
+/**
+ * Set session-only profile pins for a character. An empty list pins the
+ * character to no profile for this session, hiding any pins on its card.
+ *
+ * @param {number} characterId - Index into the characters array
+ * @param {string[]} profileNames - Profiles to try before the tier chain
+ */
+export function setSessionProfilePins(characterId, profileNames) {
+    const pins = normalizeProfilePins(profileNames);
+    sessionProfilePins.set(characterId, pins);
+    logger.info({ event: 'session_profile_pins_set', characterId, profiles: pins });
+}
+
+/**
+ * Clear session profile pins for a specific character.
+ *
+ * @param {number} characterId - Index into the characters array
+ * @returns {boolean} True if pins were removed
+ */
+export function clearSessionProfilePins(characterId) {
+    const deleted = sessionProfilePins.delete(characterId);
+    if (deleted) {
+        logger.info({ event: 'session_profile_pins_cleared', characterId });
+    }
+    return deleted;
+}
+
+/**
+ * Get the profiles a character card is pinned to.
+ *
+ * Priority order:
+ * 1. Session pins (temporary, from Tier Debugger UI)
+ * 2. Card extension data (`extensions.ensemble.profiles`)
+ *
+ * @param {number} characterId - Index into the characters array
+ * @returns {{profiles: string[], source: 'session'|'card'|null}} Pinned profile names and where they came from
+ */
+export function getPinnedProfiles(characterId) {
+    if (sessionProfilePins.has(characterId)) {
+        return { profiles: sessionProfilePins.get(characterId), source: 'session' };
+    }
+
+    const character = SillyTavern.getContext().characters?.[characterId];
+    const cardPins = normalizeProfilePins(character?.data?.extensions?.ensemble?.profiles);
+    if (cardPins.length > 0) {
+        return { profiles: cardPins, source: 'card' };
+    }
+
+    return { profiles: [], source: null };
+}
+
 /**
  * Default tier-to-profile mapping (empty array = use current profile)
  * Values are arrays for fallback chain support.
@@ -344,6 +443,27 @@ export function getProfilesForTier(tier) {
     return resolveProfilesToArray(profileConfig);
 }
 
+/**
+ * Get the fallback chain for a request: pinned profiles first, then the
+ * tier's chain. Profiles that appear in both are tried only once, at their
+ * pinned position.
+ *
+ * @param {string} tier - The tier name
+ * @param {string[]} [pinnedProfiles=[]] - Profile names pinned for the NPC
+ * @returns {Array<Object>} Connection profiles in the order to try them
+ */
+export function getProfileChain(tier, pinnedProfiles = []) {
+    const tierProfiles = TIERS.includes(tier) ? getProfilesForTier(tier) : [];
+    if (pinnedProfiles.length === 0) {
+        return tierProfiles;
+    }
+
+    const pinned = resolveProfilesToArray(pinnedProfiles)
+        .filter((p, index, list) => list.findIndex(other => other.name === p.name) === index);
+    const pinnedNames = new Set(pinned.map(p => p.name));
+    return [...pinned, ...tierProfiles.filter(p => !pinnedNames.has(p.name))];
+}
+
 /**
  * Get the ST connection profile for a given tier.
  * Returns the first profile in the fallback chain.
@@ -378,6 +498,12 @@ export function getNextAvailableProfile(tier) {
     for (const profile of profiles) {
         const limitCheck = checkRateLimit(profile.name);
 
+        if (!limitCheck.isLimited && isCircuitOpen(profile.name)) {
+            skipped.push({ name: profile.name, reason: 'Circuit open after repeated failures' });
+            console.debug(`[${MODULE_NAME}] Skipping profile '${profile.name}' for tier '${tier}': circuit open`);
+            continue;
+        }
+
         if (!limitCheck.isLimited) {
             if (skipped.length > 0) {
                 console.debug(
@@ -440,39 +566,118 @@ function getChatCompletionSource(profile) {
 }
 
 /**
- * Perform a single API call to a specific profile.
- * Internal helper for directGenerate() - does not handle fallback logic.
+ * Error classes a tier's fallback policy can list.
+ * - auth: 401/403
+ * - server: 5xx responses and open circuit breakers
+ * - timeout: network errors, dropped streams, 408/504
+ * - empty: a response with no text
+ * - refusal: a response that opens with a model refusal
+ * @type {readonly string[]}
+ */
+export const FALLBACK_ERROR_CLASSES = Object.freeze(['auth', 'server', 'timeout', 'empty', 'refusal']);
+
+/**
+ * Openings that mark a response as a model refusal rather than an NPC line.
+ * @type {readonly RegExp[]}
+ */
+const REFUSAL_PATTERNS = Object.freeze([
+    /^I(?:'m| am) (?:sorry|afraid),? but I (?:can(?:'|no)t|won't|am unable|'m unable)/i,
+    /^I (?:can(?:'|no)t|won't|am unable to|'m unable to) (?:help|assist|comply|continue|provide|engage|write|generate)/i,
+    /^I apologi[sz]e,? but/i,
+    /^As an AI/i,
+]);
+
+/**
+ * Map an HTTP status to an error class.
  *
- * @param {Array<{role: string, content: string}>} messages - Chat messages array
- * @param {Object|null} profile - Connection profile to use, or null for current settings
- * @param {Object} options - Generation options
- * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
- * @returns {Promise<Object>} The API response with generated content
- * @throws {Error} Error with isRateLimited flag set for 429 errors
+ * @param {number} status - HTTP status code
+ * @returns {string} Error class
  */
-async function singleProfileGenerate(messages, profile, options) {
-    const {
-        model,
-        temperature = 0.8,
-        max_tokens = 500,
-        npcId = 'unknown',
-        tier = 'unknown',
-        signal,
-    } = options;
+function classifyStatus(status) {
+    if (status === 429) return 'rate_limit';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 408 || status === 504) return 'timeout';
+    if (status >= 500) return 'server';
+    return 'other';
+}
 
-    const profileName = profile?.name || 'default';
+/**
+ * Classify a generation error for fallback decisions.
+ *
+ * @param {Error} error - Error thrown by a generation attempt
+ * @returns {string} 'aborted', 'rate_limit', one of FALLBACK_ERROR_CLASSES, or 'other'
+ */
+export function classifyError(error) {
+    if (error?.name === 'AbortError') return 'aborted';
+    if (error?.errorClass) return error.errorClass;
+    if (error?.isRateLimited) return 'rate_limit';
+    if (error instanceof TypeError) return 'timeout'; // fetch network failure
+    return 'other';
+}
+
+/**
+ * Extract the generated text from an API result.
+ * The structure depends on the API, but typically it's in choices[0].message.content.
+ *
+ * @param {Object|string} result - Result from directGenerate()
+ * @returns {string} Response text (untrimmed)
+ */
+export function extractResponseText(result) {
+    if (typeof result?.choices?.[0]?.message?.content === 'string') {
+        return result.choices[0].message.content;
+    } else if (typeof result?.content === 'string') {
+        return result.content;
+    } else if (typeof result === 'string') {
+        return result;
+    }
+    return JSON.stringify(result);
+}
 
-    // Build the request body
+/**
+ * Check a successful result for soft failures the policy falls back on.
+ *
+ * @param {Object} result - API result
+ * @param {string[]} policy - Error classes that trigger fallback
+ * @returns {string|null} 'empty', 'refusal', or null if the result is usable
+ */
+function detectSoftFailure(result, policy) {
+    const text = extractResponseText(result).trim();
+
+    if (policy.includes('empty') && text.length === 0) {
+        return 'empty';
+    }
+    if (policy.includes('refusal') && REFUSAL_PATTERNS.some(pattern => pattern.test(text))) {
+        return 'refusal';
+    }
+    return null;
+}
+
+/**
+ * Build the request body for ST's chat-completion generate route.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages array
+ * @param {Object|null} profile - Connection profile, or null for current settings
+ * @param {Object} params - Sampling parameters
+ * @returns {Object} Request body
+ */
+function buildChatCompletionRequest(messages, profile, { model, temperature, max_tokens, stream, top_p, presence_penalty, frequency_penalty, stop }) {
     const generateData = {
         type: 'quiet',
         messages: messages,
         model: model || profile?.model || undefined,
         temperature: temperature,
         max_tokens: max_tokens,
-        stream: false,
+        top_p: top_p,
+        presence_penalty: presence_penalty,
+        frequency_penalty: frequency_penalty,
+        stream: stream,
         chat_completion_source: getChatCompletionSource(profile),
     };
 
+    if (Array.isArray(stop) && stop.length > 0) {
+        generateData.stop = stop;
+    }
+
     // Add API URL if specified in profile
     if (profile?.['api-url']) {
         generateData.custom_url = profile['api-url'];
@@ -483,6 +688,318 @@ async function singleProfileGenerate(messages, profile, options) {
         generateData.proxy = profile.proxy;
     }
 
+    return generateData;
+}
+
+/**
+ * Build the request body for ST's text-completion generate route.
+ * Messages are rendered through the profile's instruct template (ChatML
+ * if it has none) and the template's stop strings are added.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages array
+ * @param {Object} profile - Text-completion connection profile
+ * @param {Object} params - Sampling parameters
+ * @returns {Object} Request body
+ */
+function buildTextCompletionRequest(messages, profile, { model, temperature, max_tokens, stream, top_p, presence_penalty, frequency_penalty, stop }) {
+    const template = getInstructTemplate(profile);
+    const stopStrings = [...new Set([...getStopStrings(template, profile), ...(Array.isArray(stop) ? stop : [])])];
+
+    // Fall back to the server URL configured in ST's text-completion settings
+    const apiServer = profile['api-url']
+        || SillyTavern.getContext().textCompletionSettings?.server_urls?.[profile.api]
+        || undefined;
+
+    return {
+        prompt: renderInstructPrompt(messages, template),
+        api_type: profile.api,
+        api_server: apiServer,
+        model: model || profile.model || undefined,
+        temperature: temperature,
+        top_p: top_p,
+        presence_penalty: presence_penalty,
+        frequency_penalty: frequency_penalty,
+        max_new_tokens: max_tokens,
+        max_tokens: max_tokens,
+        stop: stopStrings,
+        stopping_strings: stopStrings,
+        stream: stream,
+    };
+}
+
+/**
+ * Normalize a text-completion response into the chat-completion shape the
+ * orchestrator reads (`choices[0].message.content`).
+ *
+ * @param {Object} result - Raw backend response
+ * @returns {{choices: Array<{message: {content: string}}>}} Normalized response
+ */
+function normalizeTextCompletionResult(result) {
+    const text = result?.choices?.[0]?.text
+        ?? result?.choices?.[0]?.message?.content
+        ?? result?.results?.[0]?.text
+        ?? result?.content
+        ?? result?.response
+        ?? '';
+
+    const normalized = { choices: [{ message: { content: String(text) } }] };
+    if (result?.usage) {
+        normalized.usage = result.usage;
+    }
+    return normalized;
+}
+
+/**
+ * Extract the text delta from one parsed streaming event.
+ * Covers the OpenAI-style shape most sources use, plus Claude, Gemini, Cohere
+ * and llama.cpp's native text-completion stream.
+ *
+ * @param {Object} data - Parsed event payload
+ * @returns {string} Text delta (empty if the event carries none)
+ */
+function extractStreamDelta(data) {
+    if (data?.error) {
+        throw new Error(`[${MODULE_NAME}] Stream error: ${data.error.message || JSON.stringify(data.error)}`);
+    }
+
+    return data?.choices?.[0]?.delta?.content
+        ?? data?.choices?.[0]?.text
+        ?? data?.delta?.text
+        ?? data?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('')
+        ?? data?.delta?.message?.content?.text
+        ?? (typeof data?.content === 'string' ? data.content : undefined) // llama.cpp
+        ?? '';
+}
+
+/**
+ * Collect token usage reported inside a streaming event. OpenAI-style
+ * sources send it on the final chunk; Claude splits input and output
+ * across message_start and message_delta; Gemini repeats it per chunk.
+ *
+ * @param {Object} data - Parsed event payload
+ * @param {Object} usage - Usage collected so far (mutated)
+ */
+function collectStreamUsage(data, usage) {
+    const reported = data?.usage || data?.message?.usage;
+    if (reported && typeof reported === 'object') {
+        Object.assign(usage, reported);
+    }
+    if (data?.usageMetadata) {
+        usage.prompt_tokens = data.usageMetadata.promptTokenCount;
+        usage.completion_tokens = data.usageMetadata.candidatesTokenCount;
+    }
+}
+
+/**
+ * Read a server-sent event stream, accumulating the generated text.
+ *
+ * @param {Response} response - Fetch response with an SSE body
+ * @param {Function} [onToken] - Called as (delta, fullText) for each text chunk
+ * @returns {Promise<{text: string, usage: Object|null}>} Full generated text and any reported usage
+ */
+async function readEventStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    const usage = {};
+
+    const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+
+        let data;
+        try {
+            data = JSON.parse(payload);
+        } catch {
+            return; // Partial or non-JSON keepalive line
+        }
+
+        collectStreamUsage(data, usage);
+        const delta = extractStreamDelta(data);
+        if (delta) {
+            text += delta;
+            onToken?.(delta, text);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+        handleLine(buffer);
+    }
+
+    return { text, usage: Object.keys(usage).length > 0 ? usage : null };
+}
+
+/**
+ * Build the error thrown when a request hits one of its tier's timeouts.
+ *
+ * @param {string} kind - 'total' or 'first_token'
+ * @param {number} ms - The timeout that fired
+ * @param {string} profileName - Profile that timed out
+ * @param {string} npcId - NPC identifier for the message
+ * @param {string} tier - Tier for the message
+ * @returns {Error} Error with errorClass 'timeout'
+ */
+function createTimeoutError(kind, ms, profileName, npcId, tier) {
+    const what = kind === 'first_token' ? 'no tokens' : 'no complete response';
+    const error = new Error(
+        `[${MODULE_NAME}] ${profileName} timed out for ${npcId} (tier: ${tier}): ` +
+        `${what} after ${(ms / 1000).toFixed(1)}s`
+    );
+    error.isTimeout = true;
+    error.timeoutKind = kind;
+    error.errorClass = 'timeout';
+    error.profileName = profileName;
+    return error;
+}
+
+/**
+ * Wait for a delay, ending early with an AbortError if the signal aborts.
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => {
+            const error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            return error;
+        };
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Take a request's share of a profile's RPM/TPM quota.
+ *
+ * When the quota has no room, either waits until it refills or throws an
+ * error flagged `isQuotaExhausted` so the caller can spill over to the next
+ * profile in the chain.
+ *
+ * @param {string} profileName - Profile to reserve on
+ * @param {number} tokens - Estimated tokens for the request
+ * @param {{rpm: number, tpm: number}} limits - The profile's quota
+ * @param {Object} options - Wait options
+ * @param {boolean} options.wait - Wait for capacity instead of throwing
+ * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+ * @param {string} options.npcId - NPC identifier for messages
+ * @param {string} [options.correlationId] - Correlation ID for logging
+ * @returns {Promise<number>} Tokens taken from the quota, to settle later
+ */
+async function acquireQuota(profileName, tokens, limits, { wait, signal, npcId, correlationId }) {
+    while (true) {
+        const reservation = reserveQuota(profileName, tokens, limits);
+        if (reservation.allowed) {
+            return reservation.reservedTokens;
+        }
+
+        if (!wait) {
+            const error = new Error(
+                `[${MODULE_NAME}] Quota of ${reservation.reason} reached for ${profileName}. ` +
+                `Capacity in ${Math.ceil(reservation.waitMs / 1000)}s`
+            );
+            error.isQuotaExhausted = true;
+            error.errorClass = 'rate_limit';
+            error.retryIn = reservation.waitMs;
+            error.profileName = profileName;
+            throw error;
+        }
+
+        logger.debug({
+            event: 'quota_wait',
+            profile: profileName,
+            npc: npcId,
+            waitMs: reservation.waitMs,
+            reason: reservation.reason,
+        }, correlationId);
+        await delay(reservation.waitMs, signal);
+    }
+}
+
+/**
+ * Perform a single API call to a specific profile.
+ * Internal helper for directGenerate() - does not handle fallback logic.
+ *
+ * The tier's timeouts apply here: `totalMs` bounds the whole request and,
+ * for streamed requests, `firstTokenMs` bounds the wait for the first text.
+ * A request that times out throws an error of class 'timeout'.
+ *
+ * A profile with a configured RPM/TPM quota is checked before sending;
+ * see acquireQuota().
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages array
+ * @param {Object|null} profile - Connection profile to use, or null for current settings
+ * @param {Object} options - Generation options
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
+ * @param {boolean} [options.stream=false] - Request an SSE stream
+ * @param {Function} [options.onToken] - Streaming callback (delta, fullText)
+ * @param {Function} [options.onStart] - Called with the profile name when the request is sent
+ * @param {string} [options.correlationId] - Spawn correlation id for usage accounting
+ * @param {boolean} [options.waitForQuota=true] - Wait when the profile's quota is used up
+ *        (otherwise throw so the caller can spill over)
+ * @returns {Promise<Object>} The API response with generated content
+ *          (streamed responses are normalized to `{choices: [{message: {content}}]}`)
+ * @throws {Error} Error with isRateLimited flag set for 429 errors
+ */
+async function singleProfileGenerate(messages, profile, options) {
+    const {
+        model,
+        temperature = 0.8,
+        max_tokens = 500,
+        top_p,
+        presence_penalty,
+        frequency_penalty,
+        stop,
+        npcId = 'unknown',
+        tier = 'unknown',
+        signal,
+        stream = false,
+        onToken,
+        onStart,
+        correlationId,
+        waitForQuota = true,
+    } = options;
+
+    const profileName = profile?.name || 'default';
+
+    // Build the request body for the profile's backend type
+    const textCompletion = isTextCompletionProfile(profile);
+    const params = { model, temperature, max_tokens, stream, top_p, presence_penalty, frequency_penalty, stop };
+    const generateData = textCompletion
+        ? buildTextCompletionRequest(messages, profile, params)
+        : buildChatCompletionRequest(messages, profile, params);
+    const endpoint = textCompletion
+        ? '/api/backends/text-completions/generate'
+        : '/api/backends/chat-completions/generate';
+
     // Check rate limit before proceeding
     const limitCheck = checkRateLimit(profileName);
     if (limitCheck.isLimited) {
@@ -494,58 +1011,356 @@ async function singleProfileGenerate(messages, profile, options) {
         throw error;
     }
 
+    // Client-side quota: hold the request back rather than earn a 429
+    const quota = getProfileQuota(profileName);
+    const quotaTokens = quota
+        ? estimateTokens(messages.map(m => m.content || '').join('\n')) + max_tokens
+        : 0;
+    // Oversized requests take at most the whole quota, so settle against
+    // what was actually reserved
+    const reservedTokens = quota
+        ? await acquireQuota(profileName, quotaTokens, quota, { wait: waitForQuota, signal, npcId, correlationId })
+        : 0;
+    let quotaSettled = !quota;
+
+    // Circuit breaker: refuse profiles that keep failing, letting one
+    // probe request through once the cooldown has passed
+    const breaker = checkBreaker(profileName);
+    if (!breaker.allowed) {
+        if (!quotaSettled) {
+            settleQuota(profileName, reservedTokens, 0);
+        }
+        const retryText = breaker.retryIn !== null
+            ? `Retry in ${Math.ceil(breaker.retryIn / 1000)}s`
+            : 'Probe in progress';
+        const error = new Error(
+            `[${MODULE_NAME}] Circuit open for ${profileName} after repeated failures. ${retryText}`
+        );
+        error.isCircuitOpen = true;
+        error.errorClass = 'server';
+        error.profileName = profileName;
+        throw error;
+    }
+
     // getRequestHeaders is a global function in ST
     const headers = typeof getRequestHeaders === 'function'
         ? getRequestHeaders()
         : { 'Content-Type': 'application/json' };
 
-    const response = await fetch('/api/backends/chat-completions/generate', {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(generateData),
-        signal: signal,
-    });
+    // Own controller so timeouts can abort the request; the caller's signal
+    // still aborts it too
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    if (signal?.aborted) {
+        controller.abort();
+    } else {
+        signal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    const timeouts = TIERS.includes(tier) ? getTierTimeouts(tier) : { totalMs: 0, firstTokenMs: 0 };
+    let timedOut = null;
+    const startTimer = (kind, ms) => (ms > 0
+        ? setTimeout(() => {
+            timedOut = { kind, ms };
+            controller.abort();
+        }, ms)
+        : null);
+    const totalTimer = startTimer('total', timeouts.totalMs);
+    let firstTokenTimer = stream ? startTimer('first_token', timeouts.firstTokenMs) : null;
+    const clearFirstTokenTimer = () => {
+        clearTimeout(firstTokenTimer);
+        firstTokenTimer = null;
+    };
+
+    try {
+        onStart?.(profileName);
+
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(generateData),
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                recordBreakerFailure(profileName);
+                error.errorClass = 'timeout';
+                error.profileName = profileName;
+            }
+            throw error;
+        }
+
+        if (!response.ok) {
+            const statusText = response.statusText || 'Unknown error';
+            const status = response.status;
+
+            // Handle rate limit (429): wait exactly as long as the provider
+            // says, falling back to exponential backoff
+            if (status === 429) {
+                const limits = readRateLimitHeaders(response.headers);
+                const body = await response.text().catch(() => '');
+                const geminiDelay = parseGeminiRetryDelay(body);
+                const resetAt = limits.retryAt
+                    ?? (geminiDelay !== null ? Date.now() + geminiDelay : null)
+                    ?? getExhaustedUntil(limits)
+                    ?? limits.requests.resetAt;
+                const limitInfo = recordRateLimit(profileName, null, resetAt);
+                const error = new Error(
+                    `[${MODULE_NAME}] Rate limit (429) from ${profileName} for ${npcId} (tier: ${tier}). ` +
+                    `Retry in ${Math.ceil(limitInfo.retryIn / 1000)}s`
+                );
+                error.isRateLimited = true;
+                error.errorClass = 'rate_limit';
+                error.profileName = profileName;
+                throw error;
+            }
 
-    if (!response.ok) {
-        const statusText = response.statusText || 'Unknown error';
-        const status = response.status;
+            const errorClass = classifyStatus(status);
+            if (errorClass === 'server' || errorClass === 'timeout') {
+                recordBreakerFailure(profileName);
+            }
+
+            // Build actionable error message for other errors
+            let suggestion = '';
+            if (status === 401 || status === 403) {
+                suggestion = 'Authentication failed - check your API key in the connection profile.';
+            } else if (status === 404) {
+                suggestion = 'Endpoint not found - verify the API URL in your connection profile.';
+            } else if (status >= 500) {
+                suggestion = 'Server error - the API provider may be experiencing issues.';
+            }
 
-        // Handle rate limit (429) with exponential backoff
-        if (status === 429) {
-            const retryAfterHeader = response.headers.get('Retry-After');
-            const retryAfterSeconds = retryAfterHeader ? parseInt(retryAfterHeader, 10) : null;
-            const limitInfo = recordRateLimit(profileName, retryAfterSeconds);
             const error = new Error(
-                `[${MODULE_NAME}] Rate limit (429) from ${profileName} for ${npcId} (tier: ${tier}). ` +
-                `Retry in ${Math.ceil(limitInfo.retryIn / 1000)}s`
+                `[${MODULE_NAME}] Failed to generate response for ${npcId} (tier: ${tier}): ` +
+                `${profileName} returned ${status} ${statusText}. ${suggestion}`
             );
-            error.isRateLimited = true;
+            error.errorClass = errorClass;
+            error.status = status;
             error.profileName = profileName;
             throw error;
         }
 
-        // Build actionable error message for other errors
-        let suggestion = '';
-        if (status === 401 || status === 403) {
-            suggestion = 'Authentication failed - check your API key in the connection profile.';
-        } else if (status === 404) {
-            suggestion = 'Endpoint not found - verify the API URL in your connection profile.';
-        } else if (status >= 500) {
-            suggestion = 'Server error - the API provider may be experiencing issues.';
+        let result;
+
+        // Some proxies ignore stream: true and answer with plain JSON
+        const contentType = response.headers.get('Content-Type') || '';
+        if (stream && response.body && !contentType.includes('application/json')) {
+            try {
+                const { text, usage } = await readEventStream(response, (delta, fullText) => {
+                    clearFirstTokenTimer();
+                    onToken?.(delta, fullText);
+                });
+                result = { choices: [{ message: { content: text } }] };
+                if (usage) {
+                    result.usage = usage;
+                }
+            } catch (error) {
+                // A stream that dies midway is a connection failure
+                if (error.name !== 'AbortError' && !error.message?.startsWith(`[${MODULE_NAME}]`)) {
+                    recordBreakerFailure(profileName);
+                    error.errorClass = 'timeout';
+                    error.profileName = profileName;
+                }
+                throw error;
+            }
+        } else {
+            // Not a stream, so there is no first token to wait for
+            clearFirstTokenTimer();
+            const json = await response.json();
+            result = textCompletion ? normalizeTextCompletionResult(json) : json;
         }
 
-        throw new Error(
-            `[${MODULE_NAME}] Failed to generate response for ${npcId} (tier: ${tier}): ` +
-            `${profileName} returned ${status} ${statusText}. ${suggestion}`
-        );
+        // Record successful request to reset backoff and close the breaker
+        recordSuccess(profileName);
+        recordBreakerSuccess(profileName);
+
+        // Out of capacity after this one: stop sending before the 429
+        const exhaustedUntil = getExhaustedUntil(readRateLimitHeaders(response.headers));
+        if (exhaustedUntil !== null && recordExhausted(profileName, exhaustedUntil)) {
+            logger.info({
+                event: 'profile_capacity_exhausted',
+                profile: profileName,
+                resetIn: exhaustedUntil - Date.now(),
+            }, correlationId);
+        }
+
+        // Charge the quota with what was really used
+        if (!quotaSettled) {
+            const usage = extractUsage(result);
+            const usedTokens = usage
+                ? usage.inputTokens + usage.outputTokens
+                : quotaTokens - max_tokens + estimateTokens(extractResponseText(result));
+            settleQuota(profileName, reservedTokens, usedTokens);
+            quotaSettled = true;
+        }
+
+        recordUsage({
+            result,
+            messages,
+            responseText: extractResponseText(result),
+            profileName,
+            model: generateData.model,
+            tier,
+            npc: npcId,
+            correlationId,
+        });
+
+        return result;
+    } catch (error) {
+        // An abort caused by our own timer is a timeout, not a cancellation
+        if (timedOut && !signal?.aborted) {
+            // Dropped connections were already recorded where they were caught
+            if (error.errorClass !== 'timeout') {
+                recordBreakerFailure(profileName);
+            }
+            throw createTimeoutError(timedOut.kind, timedOut.ms, profileName, npcId, tier);
+        }
+        throw error;
+    } finally {
+        // Nothing was generated, so give the reserved tokens back
+        if (!quotaSettled) {
+            settleQuota(profileName, reservedTokens, 0);
+        }
+        clearTimeout(totalTimer);
+        clearFirstTokenTimer();
+        signal?.removeEventListener('abort', forwardAbort);
+        // No-op if an outcome was recorded; frees the probe on aborts and 4xx
+        releaseBreakerProbe(profileName);
     }
+}
+
+/**
+ * Give a generation error profile context, keeping its class and aborts intact.
+ *
+ * @param {Error} error - Error from singleProfileGenerate()
+ * @param {string} npcId - NPC identifier for the message
+ * @param {string} tier - Tier for the message
+ * @param {string} profileName - Profile that failed
+ * @returns {Error} Error to throw
+ */
+function wrapGenerationError(error, npcId, tier, profileName) {
+    // Re-throw if already formatted, and never disguise an abort
+    if (error.message?.startsWith(`[${MODULE_NAME}]`) || error.name === 'AbortError') {
+        return error;
+    }
+
+    // Wrap network errors with context
+    const wrapped = new Error(
+        `[${MODULE_NAME}] Network error generating response for ${npcId} (tier: ${tier}) ` +
+        `using profile '${profileName}': ${error.message}`
+    );
+    wrapped.errorClass = classifyError(error);
+    wrapped.profileName = profileName;
+    return wrapped;
+}
+
+/**
+ * Send a request to a profile and, if it has not answered after `hedgeMs`,
+ * send the same request to a backup profile as well.
+ *
+ * The first attempt to answer wins and the other is aborted. For streamed
+ * requests an attempt answers with its first token, so only the winner's
+ * text reaches `onToken`. If the primary fails before the hedge is sent,
+ * its error is thrown straight away and the caller falls back as usual.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages array
+ * @param {Object} primary - Profile to try first
+ * @param {Object} backup - Profile to hedge with
+ * @param {Object} options - Generation options (as for singleProfileGenerate)
+ * @param {number} hedgeMs - Delay before the hedge is sent
+ * @param {Function} [onHedge] - Called when the hedge is sent
+ * @returns {Promise<{result: Object, profile: Object}>} Winning result and its profile
+ */
+function hedgedGenerate(messages, primary, backup, options, hedgeMs, onHedge) {
+    const { signal, onToken, onStart, npcId = 'unknown' } = options;
+
+    return new Promise((resolve, reject) => {
+        const attempts = [];
+        const errors = [];
+        let winner = null;
+        let hedgeTimer = null;
+
+        // First attempt to answer wins; abort the rest
+        const claim = (attempt) => {
+            if (winner) {
+                return winner === attempt;
+            }
+            winner = attempt;
+            clearTimeout(hedgeTimer);
+            for (const other of attempts) {
+                if (other !== attempt) {
+                    other.controller.abort();
+                }
+            }
+            if (attempts.length > 1) {
+                onStart?.(attempt.profile.name);
+                logger.debug({ event: 'hedge_won', npc: npcId, profile: attempt.profile.name });
+            }
+            return true;
+        };
 
-    const result = await response.json();
+        const launch = (profile) => {
+            const attempt = { profile, controller: new AbortController(), done: false };
+            const forwardAbort = () => attempt.controller.abort();
+            if (signal?.aborted) {
+                attempt.controller.abort();
+            } else {
+                signal?.addEventListener('abort', forwardAbort, { once: true });
+            }
+            attempts.push(attempt);
+
+            singleProfileGenerate(messages, profile, {
+                ...options,
+                // A hedge is opportunistic: never wait on the backup's quota
+                waitForQuota: profile === primary ? options.waitForQuota : false,
+                signal: attempt.controller.signal,
+                onToken: (delta, text) => {
+                    if (claim(attempt)) {
+                        onToken?.(delta, text);
+                    }
+                },
+                onStart: (profileName) => {
+                    if (!winner) {
+                        onStart?.(profileName);
+                    }
+                },
+            }).then((result) => {
+                attempt.done = true;
+                if (claim(attempt)) {
+                    resolve({ result, profile });
+                }
+            }, (error) => {
+                attempt.done = true;
+                errors.push(error);
+
+                // The winner failed midway, or the primary failed before the hedge
+                if (winner === attempt || attempts.length === 1) {
+                    clearTimeout(hedgeTimer);
+                    reject(error);
+                    return;
+                }
 
-    // Record successful request to reset backoff
-    recordSuccess(profileName);
+                if (!winner && attempts.every(a => a.done)) {
+                    // Prefer a real failure over the abort it caused
+                    reject(signal?.aborted ? error : (errors.find(e => e.name !== 'AbortError') || error));
+                }
+            }).finally(() => {
+                signal?.removeEventListener('abort', forwardAbort);
+            });
+        };
 
-    return result;
+        launch(primary);
+        hedgeTimer = setTimeout(() => {
+            if (winner || attempts[0].done || signal?.aborted) {
+                return;
+            }
+            logger.info({ event: 'request_hedged', npc: npcId, primary: primary.name, backup: backup.name, afterMs: hedgeMs });
+            onHedge?.();
+            launch(backup);
+        }, hedgeMs);
+    });
 }
 
 /**
@@ -561,60 +1376,86 @@ async function singleProfileGenerate(messages, profile, options) {
  * @param {string} [options.model] - Model override
  * @param {number} [options.temperature=0.8] - Sampling temperature
  * @param {number} [options.max_tokens=500] - Maximum response tokens
+ * @param {number} [options.top_p] - Nucleus sampling
+ * @param {number} [options.presence_penalty] - Presence penalty
+ * @param {number} [options.frequency_penalty] - Frequency penalty
+ * @param {string[]} [options.stop] - Extra stop sequences
  * @param {string} [options.npcId] - NPC identifier for error messages
  * @param {string} [options.tier] - Tier for fallback chain lookup and error messages
  * @param {boolean} [options.useFallback=true] - Whether to use fallback chain on rate limit
+ * @param {string[]} [options.pinnedProfiles=[]] - Profile names to try before the tier's chain
  * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
+ * @param {boolean} [options.stream=false] - Stream the response over SSE
+ * @param {Function} [options.onToken] - Streaming callback (delta, fullText)
+ * @param {Function} [options.onStart] - Called with each profile name as it is tried
+ * @param {string} [options.correlationId] - Spawn correlation id for usage accounting
  * @returns {Promise<Object>} The API response with generated content
- * @throws {Error} Descriptive error with profile name and status code on failure
+ * @throws {Error} Descriptive error with profile name and status code on failure,
+ *         or with isBudgetBlocked set when the budget cap blocks the request
  */
 export async function directGenerate(messages, profile, options = {}) {
     const {
         npcId = 'unknown',
-        tier = 'unknown',
         useFallback = true,
+        pinnedProfiles = [],
     } = options;
+    let { tier = 'unknown' } = options;
+
+    // Once the chat has spent its budget, block or move to a cheaper tier
+    const budgetCap = applyBudgetCap(tier);
+    if (budgetCap.blocked) {
+        const error = new Error(
+            `[${MODULE_NAME}] Budget cap of ${formatCost(budgetCap.cap)} reached for this chat ` +
+            `(${formatCost(budgetCap.spent)} spent). Raise the cap in settings or run /ensemble cost reset.`
+        );
+        error.isBudgetBlocked = true;
+        error.errorClass = 'budget';
+        throw error;
+    }
+    // A downgrade replaces the NPC's pins too: they usually point at the
+    // expensive profile the cap is moving away from
+    const pins = budgetCap.downgraded ? [] : pinnedProfiles;
+    if (budgetCap.downgraded) {
+        logger.info({
+            event: 'budget_cap_downgrade',
+            npc: npcId,
+            from: tier,
+            to: budgetCap.tier,
+            spent: budgetCap.spent,
+        }, options.correlationId);
+        tier = budgetCap.tier;
+        profile = getProfileChain(tier, pins)[0] || null;
+        options = { ...options, tier };
+    }
 
     // If no tier specified or fallback disabled, use single profile directly
     if (!useFallback || tier === 'unknown' || !TIERS.includes(tier)) {
         try {
             return await singleProfileGenerate(messages, profile, options);
         } catch (error) {
-            // Re-throw if already formatted
-            if (error.message?.startsWith(`[${MODULE_NAME}]`)) {
-                throw error;
-            }
-            // Wrap network errors with context
-            const profileName = profile?.name || 'default';
-            throw new Error(
-                `[${MODULE_NAME}] Network error generating response for ${npcId} (tier: ${tier}) ` +
-                `using profile '${profileName}': ${error.message}`
-            );
+            throw wrapGenerationError(error, npcId, tier, profile?.name || 'default');
         }
     }
 
-    // Get the full fallback chain for this tier
-    const profiles = getProfilesForTier(tier);
+    // Get the full fallback chain: the NPC's pinned profiles, then the tier's
+    const profiles = getProfileChain(tier, pins);
 
     // If no profiles configured, use the provided profile (or current settings)
     if (profiles.length === 0) {
         try {
             return await singleProfileGenerate(messages, profile, options);
         } catch (error) {
-            if (error.message?.startsWith(`[${MODULE_NAME}]`)) {
-                throw error;
-            }
-            const profileName = profile?.name || 'default';
-            throw new Error(
-                `[${MODULE_NAME}] Network error generating response for ${npcId} (tier: ${tier}) ` +
-                `using profile '${profileName}': ${error.message}`
-            );
+            throw wrapGenerationError(error, npcId, tier, profile?.name || 'default');
         }
     }
 
     // Track which profiles we've tried
     const triedProfiles = [];
     let lastError = null;
+    let softFailureResult = null;
+    const policy = getFallbackPolicy(tier);
+    const { hedgeMs } = getTierTimeouts(tier);
+    const queueOnQuota = getQuotaSettings().onExhausted === 'queue';
 
     // Find the starting index - start from the provided profile or beginning
     let startIndex = 0;
@@ -630,18 +1471,56 @@ export async function directGenerate(messages, profile, options = {}) {
         const currentProfile = profiles[i];
         triedProfiles.push(currentProfile.name);
 
+        // Hedge with the next profile in the chain if it is usable right now
+        const backupProfile = profiles[i + 1];
+        const canHedge = hedgeMs > 0 && backupProfile
+            && !checkRateLimit(backupProfile.name).isLimited
+            && !isCircuitOpen(backupProfile.name);
+        let hedged = false;
+
+        // Spill over to the next profile when the quota is used up, unless
+        // this is the last one or the settings say to queue
+        const attemptOptions = {
+            ...options,
+            waitForQuota: queueOnQuota || i === profiles.length - 1,
+        };
+
         try {
             console.debug(
                 `[${MODULE_NAME}] Attempting profile '${currentProfile.name}' for ${npcId} (tier: ${tier})` +
                 (triedProfiles.length > 1 ? ` (fallback #${triedProfiles.length})` : '')
             );
 
-            const result = await singleProfileGenerate(messages, currentProfile, options);
+            let result;
+            let servedBy = currentProfile;
+            if (canHedge) {
+                ({ result, profile: servedBy } = await hedgedGenerate(
+                    messages, currentProfile, backupProfile, attemptOptions, hedgeMs, () => {
+                        hedged = true;
+                        triedProfiles.push(backupProfile.name);
+                    }
+                ));
+            } else {
+                result = await singleProfileGenerate(messages, currentProfile, attemptOptions);
+            }
+
+            // Empty or refused responses fall back if the policy says so,
+            // as long as there is another profile left to try
+            const softFailure = detectSoftFailure(result, policy);
+            if (softFailure && (hedged ? i + 1 : i) < profiles.length - 1) {
+                softFailureResult = result;
+                lastError = new Error(`${servedBy.name} returned ${softFailure === 'empty' ? 'an empty response' : 'a refusal'}`);
+                console.debug(
+                    `[${MODULE_NAME}] Profile '${servedBy.name}' gave ${softFailure} response, ` +
+                    `trying next in fallback chain for ${npcId}`
+                );
+                continue;
+            }
 
             if (triedProfiles.length > 1) {
                 console.info(
-                    `[${MODULE_NAME}] Successfully used fallback profile '${currentProfile.name}' ` +
-                    `for ${npcId} after trying: ${triedProfiles.slice(0, -1).join(', ')}`
+                    `[${MODULE_NAME}] Successfully used ${hedged ? 'hedged' : 'fallback'} profile '${servedBy.name}' ` +
+                    `for ${npcId} after trying: ${triedProfiles.filter(name => name !== servedBy.name).join(', ')}`
                 );
             }
 
@@ -649,33 +1528,38 @@ export async function directGenerate(messages, profile, options = {}) {
 
         } catch (error) {
             lastError = error;
+            const errorClass = classifyError(error);
 
-            // Only continue to next profile on rate limit errors
-            if (error.isRateLimited) {
+            // Rate limits, used-up quotas and open breakers always move on;
+            // other failures only if the tier's fallback policy lists their class
+            if (error.isRateLimited || error.isQuotaExhausted || error.isCircuitOpen || policy.includes(errorClass)) {
                 console.debug(
-                    `[${MODULE_NAME}] Profile '${currentProfile.name}' rate limited, ` +
+                    `[${MODULE_NAME}] Profile '${currentProfile.name}' failed (${errorClass}), ` +
                     `trying next in fallback chain for ${npcId}`
                 );
                 continue;
             }
 
-            // For non-rate-limit errors, re-throw immediately
-            if (error.message?.startsWith(`[${MODULE_NAME}]`)) {
-                throw error;
+            throw wrapGenerationError(error, npcId, tier, error.profileName || currentProfile.name);
+        } finally {
+            // A hedged request already tried the next profile
+            if (hedged) {
+                i++;
             }
-            throw new Error(
-                `[${MODULE_NAME}] Network error generating response for ${npcId} (tier: ${tier}) ` +
-                `using profile '${currentProfile.name}': ${error.message}`
-            );
         }
     }
 
+    // An empty or refused answer beats none at all
+    if (softFailureResult) {
+        return softFailureResult;
+    }
+
     // All profiles exhausted - throw comprehensive error
     throw new Error(
         `[${MODULE_NAME}] All ${triedProfiles.length} profiles exhausted for ${npcId} (tier: ${tier}). ` +
         `Tried: ${triedProfiles.join(', ')}. ` +
         `Last error: ${lastError?.message || 'Unknown error'}. ` +
-        `Configure additional fallback profiles or wait for rate limits to reset.`
+        `Configure additional fallback profiles or wait for rate limits and circuit breakers to reset.`
     );
 }
 
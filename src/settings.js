@@ -21,6 +21,76 @@ export const DEFAULT_SETTINGS = {
         minor: [],
         utility: []
     },
+    transcript: {
+        enabled: true,
+        maxMessages: 10,
+        tokenBudget: 800
+    },
+    activation: {
+        enabled: true,
+        scanDepth: 4,
+        maxRecursion: 3
+    },
+    ranking: {
+        enabled: false,
+        topK: 8
+    },
+    budget: {
+        enabled: true,
+        defaultContextSize: 8192,
+        trimOrder: ['scene', 'knowledge', 'identity', 'transcript'],
+        contextSizes: {}
+    },
+    streaming: {
+        tiers: {
+            orchestrator: false,
+            major: true,
+            standard: true,
+            minor: true,
+            utility: false
+        },
+        showProgress: true
+    },
+    spawnPolicy: 'queue',
+    unmatchedNpcFallback: 'stub',
+    characterGeneration: {
+        enabled: false
+    },
+    fallbackPolicy: {
+        orchestrator: ['auth', 'server', 'timeout', 'empty'],
+        major: ['auth', 'server', 'timeout', 'empty'],
+        standard: ['auth', 'server', 'timeout', 'empty'],
+        minor: ['auth', 'server', 'timeout', 'empty'],
+        utility: ['auth', 'server', 'timeout', 'empty']
+    },
+    timeouts: {
+        orchestrator: { totalMs: 120000, firstTokenMs: 45000, hedgeMs: 0 },
+        major: { totalMs: 120000, firstTokenMs: 45000, hedgeMs: 0 },
+        standard: { totalMs: 90000, firstTokenMs: 30000, hedgeMs: 0 },
+        minor: { totalMs: 90000, firstTokenMs: 30000, hedgeMs: 0 },
+        utility: { totalMs: 60000, firstTokenMs: 30000, hedgeMs: 0 }
+    },
+    generation: {
+        orchestrator: { temperature: 0.8, top_p: 1, max_tokens: 500, presence_penalty: 0, frequency_penalty: 0, stop: [] },
+        major: { temperature: 0.8, top_p: 1, max_tokens: 500, presence_penalty: 0, frequency_penalty: 0, stop: [] },
+        standard: { temperature: 0.8, top_p: 1, max_tokens: 500, presence_penalty: 0, frequency_penalty: 0, stop: [] },
+        minor: { temperature: 0.8, top_p: 1, max_tokens: 500, presence_penalty: 0, frequency_penalty: 0, stop: [] },
+        utility: { temperature: 0.3, top_p: 1, max_tokens: 300, presence_penalty: 0, frequency_penalty: 0, stop: [] },
+        // Utility-tier roles with their own samplers
+        judge: { temperature: 0.3, top_p: 1, max_tokens: 300, presence_penalty: 0, frequency_penalty: 0, stop: [] },
+        guardian: { temperature: 0.2, top_p: 1, max_tokens: 300, presence_penalty: 0, frequency_penalty: 0, stop: [] }
+    },
+    quotas: {
+        profiles: {},
+        onExhausted: 'spill'
+    },
+    cost: {
+        enabled: true,
+        prices: {},
+        cap: 0,
+        capAction: 'block',
+        downgradeTier: 'minor'
+    },
     debug: false
 };
 
@@ -240,6 +310,323 @@ export function setEnabled(enabled) {
     logger.info({ event: 'extension_enabled', enabled });
 }
 
+/**
+ * Sets what happens when a spawn starts while others are in flight
+ * @param {string} policy - 'queue', 'concurrent' or 'replace'
+ */
+export function setSpawnPolicy(policy) {
+    const settings = getSettings();
+    settings.spawnPolicy = policy;
+    saveSettings(settings);
+    logger.info({ event: 'spawn_policy_changed', policy });
+}
+
+/**
+ * Sets what unknown NPCs with no recognisable role in their name become
+ * @param {string} fallback - 'stub' or 'commoner'
+ */
+export function setUnmatchedNpcFallback(fallback) {
+    const settings = getSettings();
+    settings.unmatchedNpcFallback = fallback;
+    saveSettings(settings);
+    logger.info({ event: 'unmatched_npc_fallback_changed', fallback });
+}
+
+/**
+ * Gets a nested settings group merged over its defaults
+ * @param {string} group - Key of the group in DEFAULT_SETTINGS
+ * @returns {Object} Settings group with all default values filled in
+ */
+function getSettingsGroup(group) {
+    return {
+        ...DEFAULT_SETTINGS[group],
+        ...(getSettings()[group] || {})
+    };
+}
+
+/**
+ * Updates fields of a nested settings group and persists
+ * @param {string} group - Key of the group in DEFAULT_SETTINGS
+ * @param {Object} updates - Fields to change
+ */
+function setSettingsGroup(group, updates) {
+    const settings = getSettings();
+    settings[group] = {
+        ...getSettingsGroup(group),
+        ...updates
+    };
+    saveSettings(settings);
+    logger.debug({ event: 'settings_group_changed', group, value: settings[group] });
+}
+
+/**
+ * Gets the recent-chat transcript settings, merged with defaults
+ * @returns {{enabled: boolean, maxMessages: number, tokenBudget: number}} Transcript settings
+ */
+export function getTranscriptSettings() {
+    return getSettingsGroup('transcript');
+}
+
+/**
+ * Updates the recent-chat transcript settings
+ * @param {Partial<{enabled: boolean, maxMessages: number, tokenBudget: number}>} updates - Fields to change
+ */
+export function setTranscriptSettings(updates) {
+    setSettingsGroup('transcript', updates);
+}
+
+/**
+ * Gets the on-demand character generation settings, merged with defaults
+ * @returns {{enabled: boolean}} Character generation settings
+ */
+export function getCharacterGenerationSettings() {
+    return getSettingsGroup('characterGeneration');
+}
+
+/**
+ * Updates the on-demand character generation settings
+ * @param {Partial<{enabled: boolean}>} updates - Fields to change
+ */
+export function setCharacterGenerationSettings(updates) {
+    setSettingsGroup('characterGeneration', updates);
+}
+
+/**
+ * Gets the lorebook keyword activation settings, merged with defaults
+ * @returns {{enabled: boolean, scanDepth: number, maxRecursion: number}} Activation settings
+ */
+export function getActivationSettings() {
+    return getSettingsGroup('activation');
+}
+
+/**
+ * Updates the lorebook keyword activation settings
+ * @param {Partial<{enabled: boolean, scanDepth: number, maxRecursion: number}>} updates - Fields to change
+ */
+export function setActivationSettings(updates) {
+    setSettingsGroup('activation', updates);
+}
+
+/**
+ * Gets the knowledge relevance ranking settings, merged with defaults
+ * @returns {{enabled: boolean, topK: number}} Ranking settings
+ */
+export function getRankingSettings() {
+    return getSettingsGroup('ranking');
+}
+
+/**
+ * Updates the knowledge relevance ranking settings
+ * @param {Partial<{enabled: boolean, topK: number}>} updates - Fields to change
+ */
+export function setRankingSettings(updates) {
+    setSettingsGroup('ranking', updates);
+}
+
+/**
+ * Gets the prompt token budget settings, merged with defaults
+ * @returns {{enabled: boolean, defaultContextSize: number, trimOrder: string[], contextSizes: Object.<string, number>}} Budget settings
+ */
+export function getBudgetSettings() {
+    return getSettingsGroup('budget');
+}
+
+/**
+ * Updates the prompt token budget settings
+ * @param {Partial<{enabled: boolean, defaultContextSize: number, trimOrder: string[], contextSizes: Object.<string, number>}>} updates - Fields to change
+ */
+export function setBudgetSettings(updates) {
+    setSettingsGroup('budget', updates);
+}
+
+/**
+ * Gets the streaming settings, merged with defaults
+ * @returns {{tiers: Object.<string, boolean>, showProgress: boolean}} Streaming settings
+ */
+export function getStreamingSettings() {
+    const group = getSettingsGroup('streaming');
+    return {
+        ...group,
+        tiers: { ...DEFAULT_SETTINGS.streaming.tiers, ...(group.tiers || {}) }
+    };
+}
+
+/**
+ * Updates the streaming settings
+ * @param {Partial<{tiers: Object.<string, boolean>, showProgress: boolean}>} updates - Fields to change
+ */
+export function setStreamingSettings(updates) {
+    setSettingsGroup('streaming', updates);
+}
+
+/**
+ * Checks whether responses for a tier should be streamed
+ * @param {string} tier - Tier name
+ * @returns {boolean} True if streaming is enabled for the tier
+ */
+export function isStreamingEnabledForTier(tier) {
+    return getStreamingSettings().tiers[tier] === true;
+}
+
+/**
+ * Gets the error classes that move a tier down its fallback chain.
+ * Rate limits and open circuit breakers always fall back.
+ * @param {string} tier - Tier name
+ * @returns {string[]} Error classes ('auth', 'server', 'timeout', 'empty', 'refusal')
+ */
+export function getFallbackPolicy(tier) {
+    const policy = getSettingsGroup('fallbackPolicy')[tier];
+    return Array.isArray(policy) ? policy : [];
+}
+
+/**
+ * Sets the error classes that move a tier down its fallback chain
+ * @param {string} tier - Tier name
+ * @param {string[]} errorClasses - Error classes that trigger fallback
+ */
+export function setFallbackPolicy(tier, errorClasses) {
+    setSettingsGroup('fallbackPolicy', { [tier]: [...errorClasses] });
+}
+
+/**
+ * Gets a tier's request timeouts, merged with defaults. A value of 0 turns
+ * that timeout off.
+ * - totalMs: abort a request that has not finished after this long
+ * - firstTokenMs: abort a streamed request that has produced no text after this long
+ * - hedgeMs: send the request to the next profile too if the first has not answered
+ * @param {string} tier - Tier name
+ * @returns {{totalMs: number, firstTokenMs: number, hedgeMs: number}} Tier timeouts
+ */
+export function getTierTimeouts(tier) {
+    const defaults = DEFAULT_SETTINGS.timeouts[tier] || { totalMs: 0, firstTokenMs: 0, hedgeMs: 0 };
+    return {
+        ...defaults,
+        ...(getSettingsGroup('timeouts')[tier] || {})
+    };
+}
+
+/**
+ * Updates a tier's request timeouts
+ * @param {string} tier - Tier name
+ * @param {Partial<{totalMs: number, firstTokenMs: number, hedgeMs: number}>} updates - Fields to change
+ */
+export function setTierTimeouts(tier, updates) {
+    setSettingsGroup('timeouts', { [tier]: { ...getTierTimeouts(tier), ...updates } });
+}
+
+/**
+ * Sampler parameters that can be set per tier or per NPC
+ * @type {readonly string[]}
+ */
+export const GENERATION_PARAMS = Object.freeze(['temperature', 'top_p', 'max_tokens', 'presence_penalty', 'frequency_penalty', 'stop']);
+
+/**
+ * Keeps only known sampler parameters with usable values. Numbers may be
+ * given as strings; `stop` may be a single string or an array.
+ * @param {Object} raw - Parameters from settings or a character card
+ * @returns {Object} Clean parameters (only the keys that were valid)
+ */
+export function normalizeGenerationParams(raw) {
+    const params = {};
+    if (!raw || typeof raw !== 'object') {
+        return params;
+    }
+
+    for (const key of GENERATION_PARAMS) {
+        const value = raw[key];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (key === 'stop') {
+            const stops = Array.isArray(value) ? value : [value];
+            params.stop = stops.filter(stop => typeof stop === 'string' && stop.length > 0);
+        } else if (key === 'max_tokens') {
+            const number = parseInt(value, 10);
+            if (number > 0) {
+                params.max_tokens = number;
+            }
+        } else {
+            const number = Number(value);
+            if (Number.isFinite(number)) {
+                params[key] = number;
+            }
+        }
+    }
+    return params;
+}
+
+/**
+ * Gets a tier's sampler parameters, merged with defaults
+ * @param {string} tier - Tier name, or 'judge' / 'guardian' for those roles
+ * @returns {{temperature: number, top_p: number, max_tokens: number, presence_penalty: number, frequency_penalty: number, stop: string[]}} Sampler parameters
+ */
+export function getGenerationSettings(tier) {
+    const defaults = DEFAULT_SETTINGS.generation[tier] || DEFAULT_SETTINGS.generation.standard;
+    return {
+        ...defaults,
+        ...normalizeGenerationParams(getSettingsGroup('generation')[tier]),
+    };
+}
+
+/**
+ * Updates a tier's sampler parameters
+ * @param {string} tier - Tier name, or 'judge' / 'guardian' for those roles
+ * @param {Object} updates - Parameters to change
+ */
+export function setGenerationSettings(tier, updates) {
+    setSettingsGroup('generation', { [tier]: { ...getGenerationSettings(tier), ...normalizeGenerationParams(updates) } });
+}
+
+/**
+ * Gets the client-side quota settings, merged with defaults.
+ * `profiles` maps a profile name to its requests and tokens per minute
+ * (0 = unlimited). `onExhausted` is 'spill' (try the next profile in the
+ * chain, waiting only on the last) or 'queue' (wait for the same profile).
+ * @returns {{profiles: Object.<string, {rpm: number, tpm: number}>, onExhausted: string}} Quota settings
+ */
+export function getQuotaSettings() {
+    return getSettingsGroup('quotas');
+}
+
+/**
+ * Updates the client-side quota settings
+ * @param {Partial<{profiles: Object.<string, {rpm: number, tpm: number}>, onExhausted: string}>} updates - Fields to change
+ */
+export function setQuotaSettings(updates) {
+    setSettingsGroup('quotas', updates);
+}
+
+/**
+ * Gets a profile's configured quota
+ * @param {string} profileName - Connection profile name
+ * @returns {{rpm: number, tpm: number}|null} Requests and tokens per minute, or null if it has none
+ */
+export function getProfileQuota(profileName) {
+    const quota = getQuotaSettings().profiles?.[profileName];
+    if (!quota || !(quota.rpm > 0 || quota.tpm > 0)) {
+        return null;
+    }
+    return { rpm: Number(quota.rpm) || 0, tpm: Number(quota.tpm) || 0 };
+}
+
+/**
+ * Gets the cost tracking settings, merged with defaults.
+ * Prices are USD per million tokens, keyed by profile name or model.
+ * A cap of 0 means no budget cap.
+ * @returns {{enabled: boolean, prices: Object.<string, {input: number, output: number}>, cap: number, capAction: string, downgradeTier: string}} Cost settings
+ */
+export function getCostSettings() {
+    return getSettingsGroup('cost');
+}
+
+/**
+ * Updates the cost tracking settings
+ * @param {Partial<{enabled: boolean, prices: Object.<string, {input: number, output: number}>, cap: number, capAction: string, downgradeTier: string}>} updates - Fields to change
+ */
+export function setCostSettings(updates) {
+    setSettingsGroup('cost', updates);
+}
+
 /**
  * Checks if debug mode is enabled
  * @returns {boolean} True if debug mode is enabled
@@ -57,6 +57,12 @@ const TIER_ALIASES = {
     major: 'boss',
 };
 
+/**
+ * System tiers a generated character may be assigned.
+ * @type {Set<string>}
+ */
+const CHARACTER_TIERS = new Set(['major', 'standard', 'minor']);
+
 /**
  * Name patterns that suggest template tiers.
  * @type {Array<{pattern: RegExp, tier: string}>}
@@ -326,16 +332,24 @@ export async function generateFromTemplate(name, tier) {
 
     const applied = applyTemplateVariables(template, overrides);
 
+    // Lorebook templates may name any tier; keep to the ones NPCs use
+    const characterTier = CHARACTER_TIERS.has(String(applied.tier).toLowerCase())
+        ? String(applied.tier).toLowerCase()
+        : getSystemTier(normalizedTier);
+
     const character = {
         name,
-        identity: applied.identity,
-        tier: applied.tier,
+        identity: applied.voice ? `${applied.identity}\n\nVoice: ${applied.voice}` : applied.identity,
+        tier: characterTier,
         source: 'template',
         templateId: normalizedTier,
-        spawnCount: 1,
+        spawnCount: 0,
         createdAt: Date.now(),
         generatedResponses: [],
-        metadata: applied.metadata,
+        metadata: {
+            ...applied.metadata,
+            voice: applied.voice || '',
+        },
         ephemeralState: {
             mood: null,
             injuries: [],
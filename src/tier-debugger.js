@@ -4,7 +4,8 @@
  * Provides a drawer panel UI that allows users to:
  * - View all characters with their inferred tiers
  * - Apply session-only tier overrides (temporary)
- * - Save tier overrides permanently to character cards
+ * - Pin characters to specific connection profiles, tried before the tier's chain
+ * - Save tier overrides and profile pins permanently to character cards
  *
  * @module tier-debugger
  */
@@ -15,13 +16,17 @@ import {
     setSessionTierOverride,
     clearSessionTierOverride,
     getSessionTierOverrides,
+    setSessionProfilePins,
+    clearSessionProfilePins,
+    getPinnedProfiles,
+    normalizeProfilePins,
     TIERS,
 } from './router.js';
 import { getAllSessionCharacters, updateSessionCharacter } from './character-resolver.js';
 
 /**
  * Get all characters with their current tier assignments
- * @returns {Promise<Array<{id: number|string, name: string, avatar: string|null, tier: string, source: string, spawnCount?: number, isSessionCharacter?: boolean}>>}
+ * @returns {Promise<Array<{id: number|string, name: string, avatar: string|null, tier: string, source: string, profiles: string[], spawnCount?: number, isSessionCharacter?: boolean}>>}
  */
 export async function getCharacterTiers() {
     const context = SillyTavern.getContext();
@@ -50,6 +55,7 @@ export async function getCharacterTiers() {
             avatar: char.avatar || null,
             tier,
             source,
+            profiles: getPinnedProfiles(i).profiles,
             isSessionCharacter: false,
         });
     }
@@ -70,6 +76,7 @@ export async function getCharacterTiers() {
             avatar: null, // Session characters don't have avatars
             tier: sessionChar.tier,
             source: 'session',
+            profiles: normalizeProfilePins(sessionChar.profiles),
             spawnCount: sessionChar.spawnCount,
             isSessionCharacter: true,
         });
@@ -79,12 +86,23 @@ export async function getCharacterTiers() {
 }
 
 /**
- * Save tier override permanently to character card
+ * Parse a comma-separated list of profile names from the pin input
+ * @param {string} text - Input contents
+ * @returns {string[]} Profile names
+ */
+function parseProfilePins(text) {
+    return normalizeProfilePins(String(text || '').split(','));
+}
+
+/**
+ * Save tier override and profile pins permanently to character card.
+ * Other fields in the card's `extensions.ensemble` block are kept.
  * @param {number} characterId - Index into the characters array
  * @param {string} tier - The tier to save
+ * @param {string[]} [profiles] - Profile pins to save (empty removes them); omit to leave pins unchanged
  * @returns {Promise<boolean>} True if saved successfully
  */
-export async function saveTierToCard(characterId, tier) {
+export async function saveTierToCard(characterId, tier, profiles) {
     try {
         const context = SillyTavern.getContext();
 
@@ -102,13 +120,34 @@ export async function saveTierToCard(characterId, tier) {
             return false;
         }
 
-        await context.writeExtensionField(characterId, 'ensemble', { tier });
+        // Merge into the existing block so generation overrides and the
+        // like survive
+        const ensembleData = { ...(character.data?.extensions?.ensemble || {}), tier };
+        if (Array.isArray(profiles)) {
+            const pins = normalizeProfilePins(profiles);
+            if (pins.length > 0) {
+                ensembleData.profiles = pins;
+            } else {
+                delete ensembleData.profiles;
+            }
+        }
+
+        await context.writeExtensionField(characterId, 'ensemble', ensembleData);
 
-        // Clear session override since it's now permanent
+        // Clear session overrides since they're now permanent
         clearSessionTierOverride(characterId);
+        if (Array.isArray(profiles)) {
+            clearSessionProfilePins(characterId);
+        }
 
-        logger.info({ event: 'tier_saved_to_card', characterId, tier, characterName: character.name });
-        toastr.success(`Tier saved to ${character.name}'s card`);
+        logger.info({
+            event: 'tier_saved_to_card',
+            characterId,
+            tier,
+            profiles: ensembleData.profiles || [],
+            characterName: character.name,
+        });
+        toastr.success(`Tier and profile pins saved to ${character.name}'s card`);
         return true;
     } catch (error) {
         logger.error({ event: 'tier_save_failed', characterId, error: error.message });
@@ -117,6 +156,18 @@ export async function saveTierToCard(characterId, tier) {
     }
 }
 
+/**
+ * Escape a value for use inside a double-quoted HTML attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;');
+}
+
 /**
  * Build HTML for a single character row in the tier debugger
  * @param {Object} char - Character data object
@@ -160,6 +211,11 @@ function buildCharacterRow(char) {
                     ${tierOptions}
                 </select>
             </div>
+            <div class="tier-debugger-profiles">
+                <input type="text" class="tier-pin-input text_pole" data-char-id="${char.id}" data-is-session="${isSessionChar}"
+                    value="${escapeAttribute(char.profiles.join(', '))}" placeholder="Tier chain"
+                    title="Profiles to try first, comma-separated. Leave empty to use the tier's chain." />
+            </div>
             <div class="tier-debugger-source">
                 <span class="tier-source-badge tier-source-${char.source}">${char.source}</span>
             </div>
@@ -195,6 +251,7 @@ function buildDrawerHtml(characters) {
                     <span class="tier-source-badge tier-source-inferred">inferred</span> = calculated from character data
                     <span class="tier-source-badge tier-source-session">session</span> = temporary override
                     <span class="tier-source-badge tier-source-card">card</span> = saved to character
+                    <br>Pinned profiles are tried before the tier's fallback chain.
                 </div>
                 <div class="tier-debugger-list">
                     ${emptyMessage}
@@ -248,12 +305,32 @@ function bindDrawerEvents() {
         }
     });
 
+    // Profile pins change - session character metadata or session pins
+    $('.tier-pin-input').on('change', function () {
+        const charId = $(this).data('char-id');
+        const profiles = parseProfilePins($(this).val());
+        const isSession = $(this).data('is-session') === true || $(this).data('is-session') === 'true';
+
+        if (isSession && typeof charId === 'string' && charId.startsWith('session:')) {
+            const sessionKey = charId.replace('session:', '');
+            updateSessionCharacter(sessionKey, { profiles });
+        } else {
+            setSessionProfilePins(parseInt(charId), profiles);
+        }
+
+        $(this).val(profiles.join(', '));
+        toastr.info(profiles.length > 0
+            ? `Pinned to ${profiles.join(', ')} (session only)`
+            : 'Profile pins cleared (session only)');
+    });
+
     // Save button - write to card
     $('.tier-save-btn').on('click', async function () {
         const charId = parseInt($(this).data('char-id'));
         const tier = $(`.tier-select[data-char-id="${charId}"]`).val();
+        const profiles = parseProfilePins($(`.tier-pin-input[data-char-id="${charId}"]`).val());
 
-        const success = await saveTierToCard(charId, tier);
+        const success = await saveTierToCard(charId, tier, profiles);
 
         if (success) {
             // Update source badge
@@ -0,0 +1,421 @@
+/**
+ * Token Budgeting for SillyTavern-Ensemble
+ *
+ * Fits an NPC prompt into the context window of the profile that will
+ * serve it. Sections are trimmed in a configurable priority order until
+ * the prompt fits:
+ * - scene: location, time and present characters are dropped
+ * - knowledge: lorebook entries are dropped one at a time, lowest `order` first
+ * - identity: the character description is truncated from the end
+ * - transcript: recent chat messages are dropped oldest first
+ *
+ * Token counts come from SillyTavern's tokenizer when available and fall
+ * back to a character-based estimate otherwise.
+ *
+ * @module token-budget
+ */
+
+import { logger } from './logger.js';
+import { estimateTokens, formatKnowledge, formatTranscriptSection } from './context.js';
+import { getBudgetSettings } from './settings.js';
+import { isTextCompletionProfile } from './instruct.js';
+
+/**
+ * Sections that can be trimmed, in the default trim order.
+ * @type {readonly string[]}
+ */
+export const BUDGET_SECTIONS = Object.freeze(['scene', 'knowledge', 'identity', 'transcript']);
+
+/**
+ * Approximate per-message overhead of chat formatting (role markers etc.).
+ * @type {number}
+ */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Tokens kept free on top of the response reserve, since counts for a
+ * profile's own tokenizer can differ from ours.
+ * @type {number}
+ */
+const SAFETY_MARGIN_TOKENS = 64;
+
+/**
+ * Identity text is never truncated below this many characters; beyond
+ * that the whole section is dropped.
+ * @type {number}
+ */
+const MIN_IDENTITY_CHARS = 80;
+
+/**
+ * Maximum trimming passes over the sections.
+ * @type {number}
+ */
+const MAX_TRIM_PASSES = 3;
+
+/**
+ * Count tokens in a string.
+ *
+ * Uses SillyTavern's tokenizer (`getTokenCountAsync`) when available,
+ * otherwise falls back to estimateTokens().
+ *
+ * @param {string} text - Text to count
+ * @returns {Promise<number>} Token count
+ */
+export async function countTokens(text) {
+    if (!text) {
+        return 0;
+    }
+
+    const context = SillyTavern.getContext();
+    if (typeof context.getTokenCountAsync === 'function') {
+        try {
+            const count = await context.getTokenCountAsync(text);
+            if (Number.isFinite(count)) {
+                return count;
+            }
+        } catch (error) {
+            logger.debug({ event: 'tokenizer_unavailable', error: error.message });
+        }
+    }
+
+    return estimateTokens(text);
+}
+
+/**
+ * Count tokens for a chat messages array, including formatting overhead.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Messages array
+ * @returns {Promise<number>} Token count
+ */
+export async function countMessageTokens(messages) {
+    const counts = await Promise.all(messages.map(m => countTokens(m.content || '')));
+    return counts.reduce((sum, count) => sum + count + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Look up the completion preset a connection profile uses.
+ *
+ * @param {Object} profile - Connection profile
+ * @returns {Object|null} Preset settings, or null if the profile names none or it can't be found
+ */
+function findProfilePreset(profile) {
+    if (!profile?.preset) {
+        return null;
+    }
+
+    const apiId = isTextCompletionProfile(profile) ? 'textgenerationwebui' : 'openai';
+    try {
+        const manager = SillyTavern.getContext().getPresetManager?.(apiId);
+        const preset = manager?.getCompletionPresetByName?.(profile.preset);
+        if (preset) {
+            return preset;
+        }
+
+        // Older ST: presets are a list, with names as an array or a name -> index map
+        const { presets, preset_names: names } = manager?.getPresetList?.() || {};
+        const index = Array.isArray(names) ? names.indexOf(profile.preset) : names?.[profile.preset];
+        return Array.isArray(presets) && Number.isInteger(index) ? presets[index] || null : null;
+    } catch (error) {
+        logger.debug({ event: 'profile_preset_unavailable', profile: profile.name, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Get the context window size for a connection profile, and where it
+ * came from.
+ *
+ * Resolution order: per-profile override from settings, then the context
+ * size saved in the profile's completion preset, then ST's current context
+ * size when the profile is the current connection, then the configured
+ * default.
+ *
+ * @param {Object|null} profile - Connection profile, or null for current settings
+ * @returns {{size: number, source: 'override'|'preset'|'current'|'default'}} Context size in tokens
+ */
+export function getProfileContextWindow(profile) {
+    const settings = getBudgetSettings();
+    const override = profile?.name ? Number(settings.contextSizes?.[profile.name]) : NaN;
+
+    if (Number.isFinite(override) && override > 0) {
+        return { size: override, source: 'override' };
+    }
+
+    if (profile) {
+        const preset = findProfilePreset(profile);
+        const presetContext = Number(preset?.openai_max_context ?? preset?.max_context);
+        if (Number.isFinite(presetContext) && presetContext > 0) {
+            return { size: presetContext, source: 'preset' };
+        }
+    } else {
+        const maxContext = Number(SillyTavern.getContext().maxContext);
+        if (Number.isFinite(maxContext) && maxContext > 0) {
+            return { size: maxContext, source: 'current' };
+        }
+    }
+
+    return { size: settings.defaultContextSize, source: 'default' };
+}
+
+/**
+ * Get the context window size for a connection profile.
+ *
+ * @param {Object|null} profile - Connection profile, or null for current settings
+ * @returns {number} Context size in tokens (see getProfileContextWindow)
+ */
+export function getProfileContextSize(profile) {
+    return getProfileContextWindow(profile).size;
+}
+
+/**
+ * Normalize a trim order, dropping unknown sections and duplicates.
+ *
+ * @param {string[]} trimOrder - Requested order
+ * @returns {string[]} Valid trim order (defaults if empty)
+ */
+function normalizeTrimOrder(trimOrder) {
+    const order = Array.isArray(trimOrder)
+        ? [...new Set(trimOrder.map(s => String(s).trim().toLowerCase()))].filter(s => BUDGET_SECTIONS.includes(s))
+        : [];
+    return order.length > 0 ? order : [...BUDGET_SECTIONS];
+}
+
+/**
+ * Drop the scene section.
+ *
+ * @param {Object} data - Context data (mutated)
+ * @returns {Promise<Array<Object>>} Cuts made
+ */
+async function trimScene(data) {
+    const scene = data.scene || {};
+    const text = [scene.location, scene.time, scene.present_npcs]
+        .map(v => (Array.isArray(v) ? v.join(', ') : String(v ?? '')))
+        .filter(v => v.length > 0)
+        .join('\n');
+    const tokens = await countTokens(text);
+
+    if (tokens === 0) {
+        return [];
+    }
+
+    data.scene = { location: '', time: '', present_npcs: '', tension: scene.tension };
+    return [{ section: 'scene', tokens }];
+}
+
+/**
+ * Drop knowledge entries, lowest `order` first, until `overflow` is covered.
+ *
+ * @param {Object} data - Context data (mutated)
+ * @param {number} overflow - Tokens still to remove
+ * @returns {Promise<Array<Object>>} Cuts made
+ */
+async function trimKnowledge(data, overflow) {
+    const items = Array.isArray(data.knowledgeItems) ? [...data.knowledgeItems] : [];
+    const cuts = [];
+    let removed = 0;
+
+    // Lowest order is least important; among equals drop the later entry
+    const dropOrder = items
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => ((a.item.order ?? 100) - (b.item.order ?? 100)) || (b.index - a.index))
+        .map(({ item }) => item);
+
+    const kept = new Set(items);
+    for (const item of dropOrder) {
+        if (removed >= overflow) {
+            break;
+        }
+        const tokens = await countTokens(item.content || '');
+        kept.delete(item);
+        removed += tokens;
+        cuts.push({
+            section: 'knowledge',
+            uid: item.uid,
+            comment: item.comment || '',
+            order: item.order,
+            tokens,
+        });
+    }
+
+    if (cuts.length > 0) {
+        data.knowledgeItems = items.filter(item => kept.has(item));
+        data.knowledge = formatKnowledge(data.knowledgeItems);
+        data.knowledgeEntries = data.knowledgeItems
+            .map(item => (item.content || '').trim())
+            .filter(content => content.length > 0);
+    }
+
+    return cuts;
+}
+
+/**
+ * Truncate the identity section from the end until `overflow` is covered.
+ *
+ * @param {Object} data - Context data (mutated)
+ * @param {number} overflow - Tokens still to remove
+ * @returns {Promise<Array<Object>>} Cuts made
+ */
+async function trimIdentity(data, overflow) {
+    const identity = data.identity || '';
+    const before = await countTokens(identity);
+
+    if (before === 0) {
+        return [];
+    }
+
+    const charsPerToken = identity.length / before;
+    const keepChars = Math.floor(identity.length - (overflow * charsPerToken));
+
+    let truncated = '';
+    if (keepChars >= MIN_IDENTITY_CHARS) {
+        // Prefer cutting at a sentence or line boundary
+        const slice = identity.slice(0, keepChars);
+        const boundary = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('\n'));
+        truncated = `${(boundary >= MIN_IDENTITY_CHARS ? slice.slice(0, boundary + 1) : slice).trim()} …`;
+    }
+
+    const after = await countTokens(truncated);
+    data.identity = truncated;
+
+    return [{
+        section: 'identity',
+        tokens: before - after,
+        truncatedFrom: identity.length,
+        truncatedTo: truncated.length,
+    }];
+}
+
+/**
+ * Drop transcript messages, oldest first, until `overflow` is covered.
+ *
+ * @param {Object} data - Context data (mutated)
+ * @param {number} overflow - Tokens still to remove
+ * @returns {Promise<Array<Object>>} Cuts made
+ */
+async function trimTranscript(data, overflow) {
+    const messages = Array.isArray(data.transcriptMessages) ? [...data.transcriptMessages] : [];
+    const cuts = [];
+    let removed = 0;
+
+    while (messages.length > 0 && removed < overflow) {
+        const message = messages.shift();
+        const tokens = await countTokens(`${message.name}: ${message.text}`);
+        removed += tokens;
+        cuts.push({ section: 'transcript', index: message.index, name: message.name, tokens });
+    }
+
+    if (cuts.length > 0) {
+        data.transcriptMessages = messages;
+        data.transcript_section = formatTranscriptSection(messages);
+    }
+
+    return cuts;
+}
+
+/**
+ * Fit NPC context data into a profile's context window.
+ *
+ * Builds the prompt, counts it, and if it is over budget trims sections in
+ * the configured order until it fits (or nothing trimmable is left). The
+ * input object is not modified.
+ *
+ * @param {Object} contextData - Context from buildNPCContext
+ * @param {Object} options - Budget options
+ * @param {Function} options.buildMessages - (contextData) => messages array
+ * @param {Object|null} [options.profile=null] - Target connection profile
+ * @param {number} [options.responseTokens=500] - Tokens reserved for the response
+ * @param {string} [options.correlationId] - Correlation ID for logging
+ * @returns {Promise<{contextData: Object, messages: Array<Object>, budget: Object}>}
+ *          Trimmed context, its messages, and a report of what was cut
+ */
+export async function fitContextToBudget(contextData, {
+    buildMessages,
+    profile = null,
+    responseTokens = 500,
+    correlationId,
+}) {
+    const settings = getBudgetSettings();
+    let data = { ...contextData };
+    let messages = buildMessages(data);
+
+    if (!settings.enabled) {
+        return { contextData: data, messages, budget: { enabled: false } };
+    }
+
+    const { size: contextSize, source: contextSource } = getProfileContextWindow(profile);
+    const limit = Math.max(0, contextSize - responseTokens - SAFETY_MARGIN_TOKENS);
+    const tokensBefore = await countMessageTokens(messages);
+    const cuts = [];
+
+    let total = tokensBefore;
+    if (total > limit) {
+        data = {
+            ...data,
+            scene: { ...(data.scene || {}) },
+        };
+
+        // Cuts are sized from per-section counts, which only approximate the
+        // assembled prompt, so re-count and repeat while passes still help
+        for (let pass = 0; pass < MAX_TRIM_PASSES && total > limit; pass++) {
+            let passTokens = 0;
+
+            for (const section of normalizeTrimOrder(settings.trimOrder)) {
+                const overflow = total - limit;
+                if (overflow <= 0) {
+                    break;
+                }
+
+                let sectionCuts = [];
+                if (section === 'scene') {
+                    sectionCuts = await trimScene(data);
+                } else if (section === 'knowledge') {
+                    sectionCuts = await trimKnowledge(data, overflow);
+                } else if (section === 'identity') {
+                    sectionCuts = await trimIdentity(data, overflow);
+                } else if (section === 'transcript') {
+                    sectionCuts = await trimTranscript(data, overflow);
+                }
+
+                const sectionTokens = sectionCuts.reduce((sum, cut) => sum + cut.tokens, 0);
+                cuts.push(...sectionCuts);
+                passTokens += sectionTokens;
+                total -= sectionTokens;
+            }
+
+            messages = buildMessages(data);
+            total = await countMessageTokens(messages);
+
+            if (passTokens === 0) {
+                break;
+            }
+        }
+    }
+
+    const budget = {
+        enabled: true,
+        profile: profile?.name || 'current',
+        contextSize,
+        contextSource,
+        limit,
+        tokensBefore,
+        tokensAfter: total,
+        fits: total <= limit,
+        cuts,
+    };
+
+    if (cuts.length > 0 || !budget.fits) {
+        logger.info({
+            event: 'context_trimmed',
+            npc: contextData.npc_name,
+            profile: budget.profile,
+            contextSize,
+            contextSource,
+            tokensBefore,
+            tokensAfter: total,
+            cuts: cuts.length,
+            fits: budget.fits,
+        }, correlationId);
+    }
+
+    return { contextData: data, messages, budget };
+}
@@ -16,7 +16,9 @@ import { logger } from './logger.js';
  */
 const REGISTERED_TOOL_NAMES = Object.freeze([
     'spawn_npc_responses',
+    'spawn_npc_conversation',
     'query_npc_knowledge',
+    'share_knowledge',
     'resolve_action',
     'audit_narrative',
 ]);
@@ -37,7 +39,7 @@ let toolsRegistered = false;
 const spawnNPCResponsesTool = {
     name: 'spawn_npc_responses',
     displayName: 'Spawn NPC Responses',
-    description: 'Generate dialogue and reactions from multiple NPCs in parallel. Use when the scene requires responses from several NPCs at once. Returns aggregated responses from all NPCs.',
+    description: 'Generate dialogue and reactions from multiple NPCs in parallel. Use when the scene requires responses from several NPCs at once. Set ordering to "initiative" or "tier" to run NPCs in waves so later NPCs can react to earlier ones. Returns aggregated responses from all NPCs in the order they acted.',
     parameters: {
         $schema: 'http://json-schema.org/draft-04/schema#',
         type: 'object',
@@ -56,6 +58,19 @@ const spawnNPCResponsesTool = {
                 enum: ['dialogue', 'action', 'full'],
                 description: 'Response format: dialogue only, actions only, or full response',
             },
+            ordering: {
+                type: 'string',
+                enum: ['parallel', 'initiative', 'tier'],
+                description: 'parallel: all NPCs act at once (default). initiative: NPCs act in waves following the waves layout, or one at a time in list order. tier: waves grouped by tier, most important NPCs first. Later waves see earlier responses.',
+            },
+            waves: {
+                type: 'array',
+                items: {
+                    type: 'array',
+                    items: { type: 'string' },
+                },
+                description: 'Optional wave layout for initiative ordering, e.g. [["Harley"], ["Thug1", "Thug2"]]. NPCs in the same wave act in parallel.',
+            },
         },
         required: ['npcs', 'situation'],
     },
@@ -66,6 +81,8 @@ const spawnNPCResponsesTool = {
      * @param {string[]} params.npcs - NPC character names
      * @param {string} params.situation - What happened
      * @param {string} [params.format='full'] - Response format
+     * @param {string} [params.ordering='parallel'] - Ordering mode
+     * @param {string[][]} [params.waves] - Explicit wave layout
      * @returns {Promise<Object>} Aggregated NPC responses
      */
     action: async (params) => {
@@ -130,6 +147,121 @@ const spawnNPCResponsesTool = {
     stealth: false,
 };
 
+/**
+ * spawn_npc_conversation tool definition
+ *
+ * Runs several rounds of dialogue between NPCs, each turn prompted with
+ * that NPC's own isolated context plus the transcript so far.
+ */
+const spawnNPCConversationTool = {
+    name: 'spawn_npc_conversation',
+    displayName: 'Spawn NPC Conversation',
+    description: 'Run a multi-round conversation between two or more NPCs. NPCs take turns in list order, each seeing the transcript so far but only their own knowledge. Use for arguments, negotiations or banter between NPCs. Returns the full transcript and a per-NPC summary.',
+    parameters: {
+        $schema: 'http://json-schema.org/draft-04/schema#',
+        type: 'object',
+        properties: {
+            npcs: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'NPC character names, in speaking order (at least two)',
+            },
+            situation: {
+                type: 'string',
+                description: 'What the conversation is about and how it starts',
+            },
+            rounds: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 10,
+                description: 'Maximum number of rounds; every NPC speaks once per round (default 3)',
+            },
+            end_condition: {
+                type: 'string',
+                enum: ['round_cap', 'npc_leaves', 'stop_phrase'],
+                description: 'round_cap: run until the round limit (default). npc_leaves: stop as soon as any NPC leaves. stop_phrase: stop when an NPC says stop_phrase.',
+            },
+            stop_phrase: {
+                type: 'string',
+                description: 'Phrase that ends the conversation when end_condition is stop_phrase',
+            },
+            format: {
+                type: 'string',
+                enum: ['dialogue', 'action', 'full'],
+                description: 'Response format: dialogue only, actions only, or full response',
+            },
+        },
+        required: ['npcs', 'situation'],
+    },
+
+    /**
+     * Execute the tool - runs the conversation via orchestrator
+     * @param {Object} params - Tool parameters
+     * @param {string[]} params.npcs - NPC character names in speaking order
+     * @param {string} params.situation - What the conversation is about
+     * @param {number} [params.rounds=3] - Maximum rounds
+     * @param {string} [params.end_condition='round_cap'] - End condition
+     * @param {string} [params.stop_phrase] - Stop phrase
+     * @param {string} [params.format='full'] - Response format
+     * @returns {Promise<Object>} Transcript and per-NPC summary
+     */
+    action: async (params) => {
+        logger.info({
+            event: 'tool_invoked',
+            tool: 'spawn_npc_conversation',
+            npcCount: params.npcs?.length || 0,
+            rounds: params.rounds,
+        });
+
+        try {
+            const { spawnNPCConversation } = await import('./orchestrator.js');
+            const result = await spawnNPCConversation(params);
+
+            logger.info({
+                event: 'tool_completed',
+                tool: 'spawn_npc_conversation',
+                endedBy: result.endedBy,
+            });
+
+            return result;
+        } catch (error) {
+            logger.error({
+                event: 'tool_error',
+                tool: 'spawn_npc_conversation',
+                error: error.message,
+            });
+            throw error;
+        }
+    },
+
+    /**
+     * Format message for UI toast display
+     * @param {Object} params - Tool parameters
+     * @returns {string} User-facing message
+     */
+    formatMessage: (params) => {
+        const names = params.npcs?.join(', ') || 'NPCs';
+        return `Running a conversation between ${names}`;
+    },
+
+    /**
+     * Conditional registration check
+     * Only registers if extension is enabled
+     * @returns {boolean} Whether to register this tool
+     */
+    shouldRegister: () => {
+        try {
+            const context = SillyTavern.getContext();
+            return context.extensionSettings?.ensemble?.enabled !== false;
+        } catch {
+            return true;
+        }
+    },
+
+    // Don't hide tool calls from chat history
+    stealth: false,
+};
+
 /**
  * query_npc_knowledge tool definition
  *
@@ -139,7 +271,7 @@ const spawnNPCResponsesTool = {
 const queryNPCKnowledgeTool = {
     name: 'query_npc_knowledge',
     displayName: 'Query NPC Knowledge',
-    description: 'Check what a specific NPC knows about a topic. Uses knowledge hardening - the NPC only sees lorebook entries they have access to. Returns matching knowledge entries.',
+    description: 'Check what a specific NPC knows about a topic. Uses knowledge hardening - the NPC only sees lorebook entries they have access to. Returns matching knowledge entries ranked by relevance, best first, each with a score and its type: fact, secret (the NPC won\'t volunteer it), rumor, suspicion or false_belief (the NPC holds it as true).',
     parameters: {
         $schema: 'http://json-schema.org/draft-04/schema#',
         type: 'object',
@@ -219,6 +351,113 @@ const queryNPCKnowledgeTool = {
     stealth: false,
 };
 
+/**
+ * share_knowledge tool definition
+ *
+ * Grants NPCs a piece of knowledge they were told in the story, so they
+ * know it on later turns. Grants last for the current chat.
+ */
+const shareKnowledgeTool = {
+    name: 'share_knowledge',
+    displayName: 'Share Knowledge',
+    description: 'Record that NPCs learned something in the story, e.g. because another character told them or they overheard it. From then on the knowledge is part of their context for this chat. Use it after a reveal so listeners remember it next turn.',
+    parameters: {
+        $schema: 'http://json-schema.org/draft-04/schema#',
+        type: 'object',
+        properties: {
+            to: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Names of the NPCs who learned it',
+            },
+            knowledge: {
+                type: 'string',
+                description: 'What they learned, written as a statement (e.g. "There is a secret passage behind the bookshelf")',
+            },
+            from: {
+                type: 'string',
+                description: 'Who told them (optional)',
+            },
+            type: {
+                type: 'string',
+                enum: ['fact', 'secret', 'rumor', 'suspicion', 'false_belief'],
+                description: 'How they hold it: fact, secret (they won\'t pass it on), rumor, suspicion, or false_belief (untrue but believed). Default fact.',
+            },
+        },
+        required: ['to', 'knowledge'],
+    },
+
+    /**
+     * Execute the tool - stores a knowledge grant per NPC
+     * @param {Object} params - Tool parameters
+     * @param {string[]} params.to - NPC names
+     * @param {string} params.knowledge - What they learned
+     * @param {string} [params.from] - Who told them
+     * @param {string} [params.type] - Knowledge type
+     * @returns {Promise<Object>} Created grants
+     */
+    action: async (params) => {
+        logger.info({
+            event: 'tool_invoked',
+            tool: 'share_knowledge',
+            to: params.to,
+            from: params.from,
+        });
+
+        try {
+            const { grantKnowledge } = await import('./knowledge-grants.js');
+            const result = await grantKnowledge({
+                npcs: params.to,
+                content: params.knowledge,
+                type: params.type,
+                from: params.from,
+            });
+
+            logger.info({
+                event: 'tool_completed',
+                tool: 'share_knowledge',
+                success: result.success,
+            });
+
+            return result;
+        } catch (error) {
+            logger.error({
+                event: 'tool_error',
+                tool: 'share_knowledge',
+                error: error.message,
+            });
+            throw error;
+        }
+    },
+
+    /**
+     * Format message for UI toast display
+     * @param {Object} params - Tool parameters
+     * @returns {string} User-facing message
+     */
+    formatMessage: (params) => {
+        const to = Array.isArray(params.to) ? params.to.join(', ') : params.to;
+        return params.from ? `${params.from} tells ${to} something` : `${to} learned something`;
+    },
+
+    /**
+     * Conditional registration check
+     * Only registers if extension is enabled
+     * @returns {boolean} Whether to register this tool
+     */
+    shouldRegister: () => {
+        try {
+            const context = SillyTavern.getContext();
+            return context.extensionSettings?.ensemble?.enabled !== false;
+        } catch {
+            return true;
+        }
+    },
+
+    // Don't hide tool calls from chat history
+    stealth: false,
+};
+
 /**
  * resolve_action tool definition
  *
@@ -405,7 +644,9 @@ const auditNarrativeTool = {
  */
 const TOOL_DEFINITIONS = [
     spawnNPCResponsesTool,
+    spawnNPCConversationTool,
     queryNPCKnowledgeTool,
+    shareKnowledgeTool,
     resolveActionTool,
     auditNarrativeTool,
 ];